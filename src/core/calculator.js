@@ -1,8 +1,94 @@
 // Calculation Engine
 // High-performance number parsing and auto-calculation system
 
+import ExpressionParser, { ExpressionError } from './expressionParser.js';
+import Decimal from '../utils/decimal.js';
+import Fraction from '../utils/fraction.js';
+import { CALC_CONFIG } from '../utils/constants.js';
+import { MATH_FUNCTIONS, MATH_CONSTANTS, isMathFunction, isMathConstant } from '../utils/mathFunctions.js';
+import { npv, irr, amortize } from '../utils/financeFunctions.js';
+import { solve } from '../utils/solver.js';
+import { Quantity, UnitError, matchUnit, findUnit, convertQuantity, combineQuantities } from '../utils/units.js';
+import CurrencyRates from '../utils/currency.js';
+import { DOT_DECIMAL, COMMA_DECIMAL, getLocaleFormat, detectLocaleFormat, isAmbiguousNumber, fitsFormat } from '../utils/numberLocale.js';
+import { DURATION_UNIT, MINUTE_UNIT, matchDuration, hasDurations, splitDuration } from '../utils/durations.js';
+import { DATE_PATTERN, DateError, parseDate, isDayFirst, addToDate, daysBetween, toISODate, formatDate } from '../utils/dates.js';
+
+// Names for earlier results; a variable with the same name takes priority
+//   ans, _       -> the previous line's result in the box
+//   above, total -> the column's subtotal so far
+//   prev         -> the total of the box directly above on the canvas
+const RESULT_NAMES = { ans: 'last', _: 'last', above: 'subtotal', total: 'subtotal', prev: 'box' };
+
+// Operator passes and symbols for explain() steps
+const OPERATOR_PASSES = { '^': 'power', '*': 'multiply/divide', '/': 'multiply/divide', '+': 'add/subtract', '-': 'add/subtract' };
+const OPERATOR_SYMBOLS = { '*': '×', '/': '÷' };
+
+// Programmer mode: bitwise operators and the bases results can be written in ("255 in hex")
+const BITWISE_OPERATORS = ['&', '|', 'xor', '<<', '>>', '~'];
+const RADIXES = { hex: 16, hexadecimal: 16, bin: 2, binary: 2, oct: 8, octal: 8, dec: 10, decimal: 10 };
+const RADIX_PREFIXES = { 16: '0x', 8: '0o', 2: '0b' };
+const INCH_UNIT = findUnit('inch'); // Also spelled "in" after a number, see tokenizeMathExpression
+const RADIX_NAMES = { x: 'hex', o: 'octal', b: 'binary' };
+
+// Binary digits of a BigInt, rounded up to whole hex digits (cheap for very large values)
+const bitLength = (value) => (value < 0n ? -value : value).toString(16).length * 4;
+
+// Programmer results past CALC_CONFIG.MAX_INTEGER_BITS are refused before they are worked out
+const fitBits = (bits, compute) => {
+    if (bits > CALC_CONFIG.MAX_INTEGER_BITS) throw new ExpressionError('Result too large');
+    return compute();
+};
+
+// "@round" modes: halves away from zero (commercial), to even (banker's) or dropping the rest
+// Pragmas without a value and the settings they stand for
+const FLAG_PRAGMAS = {
+    decimal: { arithmetic: 'decimal' },
+    exact: { arithmetic: 'decimal' },
+    float: { arithmetic: 'float' },
+    fraction: { arithmetic: 'fraction' },
+    fractions: { arithmetic: 'fraction' },
+    running: { running: true }
+};
+
+// What a pragma with a value accepts, shown when the value is not understood
+const PRAGMA_ERRORS = {
+    locale: 'locale must be a locale such as de-DE, or auto',
+    precision: 'precision must be 0-20',
+    round: 'round must be half-up, half-even, truncate, cash or a step such as 0.05'
+};
+
+const ROUNDING_MODES = {
+    'half-up': 'half-up', halfup: 'half-up', commercial: 'half-up',
+    'half-even': 'half-even', halfeven: 'half-even', bankers: 'half-even', banker: 'half-even',
+    truncate: 'truncate', trunc: 'truncate'
+};
+
+// Scale suffixes as powers of ten: letters attach to the number ("1.5k", "2M", "3bn"),
+// words may follow a space ("2 million", "5 lakh", "1.2 crore")
+const SCALE_SUFFIXES = {
+    k: 3, K: 3, M: 6, B: 9, bn: 9, T: 12,
+    thousand: 3, million: 6, billion: 9, trillion: 12,
+    lakh: 5, lakhs: 5, lac: 5, lacs: 5, crore: 7, crores: 7, cr: 7
+};
+const SCALE_PATTERN = '(?:[kKMBT]|bn|cr| ?(?:thousand|million|billion|trillion|lakhs?|lacs?|crores?|bn|cr))(?![A-Za-z0-9_])';
+
 class CalculationEngine {
     constructor() {
+        this.parser = new ExpressionParser();
+
+        // Global settings (per-box @pragmas override them)
+        this.settings = {
+            arithmetic: CALC_CONFIG.ARITHMETIC_MODE,
+            numberLocale: CALC_CONFIG.NUMBER_LOCALE,
+            outputLocale: CALC_CONFIG.OUTPUT_LOCALE,
+            notation: CALC_CONFIG.NOTATION
+        };
+
+        // Exchange rates the user maintains; currencies are units whose factor comes from this table
+        this.currencyRates = new CurrencyRates();
+        this.currencyUnits = new Map();
+
         this.operations = {
             '+': (a, b) => a + b,
             '-': (a, b) => a - b,
@@ -19,10 +105,180 @@ class CalculationEngine {
             percentage: /[-+]?[0-9]*\.?[0-9]+%/g,
             withOperators: /([-+×*÷\/]?)\s*([0-9]*\.?[0-9]+)/g
         };
+
+        // Arithmetic backends: fast floats, exact decimals for money columns or exact fractions
+        this.arithmetic = {
+            float: {
+                ...this.operations,
+                '^': (a, b) => Math.pow(a, b),
+                neg: (a) => -a,
+                isZero: (a) => a === 0,
+                fromText: (text, format) => this.parseNumber(text, format),
+                fromNumber: (a) => a,
+                toNumber: (a) => a
+            },
+            decimal: {
+                '+': (a, b) => a.add(b),
+                '-': (a, b) => a.sub(b),
+                '*': (a, b) => a.mul(b),
+                '/': (a, b) => a.div(b, CALC_CONFIG.DECIMAL_DIVISION_PRECISION),
+                // Whole exponents stay exact, fractional ones go through floats
+                '^': (a, b) => {
+                    const exponent = b.toNumber();
+                    return Number.isInteger(exponent) && Math.abs(exponent) <= 1000
+                        ? a.pow(exponent, CALC_CONFIG.DECIMAL_DIVISION_PRECISION)
+                        : Decimal.fromNumber(Math.pow(a.toNumber(), exponent));
+                },
+                neg: (a) => a.neg(),
+                isZero: (a) => a.isZero(),
+                fromText: (text, format) => this.parseDecimal(text, format),
+                fromNumber: (a) => Decimal.fromNumber(a),
+                toNumber: (a) => a.toNumber()
+            },
+            // Exact rationals for measurements and recipes: "1/3 + 1/6" is 1/2
+            fraction: {
+                '+': (a, b) => a.add(b),
+                '-': (a, b) => a.sub(b),
+                '*': (a, b) => a.mul(b),
+                '/': (a, b) => a.div(b),
+                // Whole exponents stay exact, fractional ones go through floats
+                '^': (a, b) => {
+                    const exponent = b.toNumber();
+                    return Number.isInteger(exponent) && Math.abs(exponent) <= 1000
+                        ? a.pow(exponent)
+                        : Fraction.fromNumber(Math.pow(a.toNumber(), exponent));
+                },
+                neg: (a) => a.neg(),
+                isZero: (a) => a.isZero(),
+                fromText: (text, format) => Fraction.fromDecimal(this.parseDecimal(text, format)),
+                fromNumber: (a) => Fraction.fromNumber(a),
+                toNumber: (a) => a.toNumber()
+            },
+            // Exact integers (BigInt) for programmer lines; division rounds toward zero
+            integer: {
+                '+': (a, b) => a + b,
+                '-': (a, b) => a - b,
+                '*': (a, b) => fitBits(bitLength(a) + bitLength(b), () => a * b),
+                '/': (a, b) => {
+                    // Rounding "0xFF / 2" down to 127 would hide the half
+                    if (b !== 0n && a % b !== 0n) throw new ExpressionError(`${a} / ${b} is not a whole number`);
+                    return a / b;
+                },
+                '^': (a, b) => {
+                    if (b < 0n) throw new ExpressionError('Negative exponents need fractions, not whole numbers');
+                    if (b > CALC_CONFIG.MAX_INTEGER_EXPONENT) throw new ExpressionError('Exponent too large');
+                    // 1 and 0 stay small at any power; the rest grow by their size each time
+                    return fitBits(a < -1n || a > 1n ? bitLength(a) * Number(b) : 0, () => a ** b);
+                },
+                '&': (a, b) => a & b,
+                '|': (a, b) => a | b,
+                'xor': (a, b) => a ^ b,
+                '<<': (a, b) => {
+                    if (b > CALC_CONFIG.MAX_INTEGER_EXPONENT) throw new ExpressionError('Shift too large');
+                    return fitBits(bitLength(a) + Number(b), () => a << b);
+                },
+                '>>': (a, b) => a >> b,
+                neg: (a) => -a,
+                not: (a) => ~a,
+                isZero: (a) => a === 0n,
+                fromText: (text, format) => this.parseInteger(text, format),
+                fromNumber: (a) => this.parseInteger(String(a)),
+                toNumber: (a) => Number(a)
+            }
+        };
+
+        // Both backends also handle quantities with units ("5 km + 300 m")
+        Object.keys(this.arithmetic).forEach(mode => {
+            this.arithmetic[mode] = this.withUnits(this.arithmetic[mode]);
+        });
+    }
+
+    // Replace the exchange rate table (currency units are rebuilt on demand)
+    setCurrencyRates(rates) {
+        this.currencyRates = rates;
+        this.currencyUnits.clear();
+    }
+
+    // Currency as a unit: "EUR", factor from the rate table (null without a rate)
+    getCurrencyUnit(code) {
+        if (!this.currencyUnits.has(code)) {
+            this.currencyUnits.set(code, {
+                symbol: code,
+                factor: this.currencyRates.getFactor(code),
+                dims: { currency: 1 },
+                aliases: [],
+                offset: 0,
+                currency: true
+            });
+        }
+        return this.currencyUnits.get(code);
+    }
+
+    // Currency symbol or known code at the start of text ("€", "EUR"), like matchUnit
+    matchCurrency(text) {
+        const symbol = text[0] in CALC_CONFIG.CURRENCY_CODES ? text[0] : null;
+        if (symbol) {
+            return { unit: this.getCurrencyUnit(CALC_CONFIG.CURRENCY_CODES[symbol]), length: 1 };
+        }
+
+        const code = text.match(/^[A-Za-z]{3}(?![\p{L}\p{N}_])/u);
+        if (code && this.currencyRates.isKnown(code[0].toUpperCase())) {
+            return { unit: this.getCurrencyUnit(code[0].toUpperCase()), length: 3 };
+        }
+        return null;
+    }
+
+    // Unit-aware wrapper around an arithmetic backend: quantities go through the unit table,
+    // plain values straight to the backend (kept as `base`)
+    withUnits(math) {
+        const isQuantity = (a) => a instanceof Quantity;
+        const operator = (op) => (a, b) => isQuantity(a) || isQuantity(b) ? combineQuantities(op, a, b, math) : math[op](a, b);
+
+        return {
+            ...math,
+            '+': operator('+'),
+            '-': operator('-'),
+            '*': operator('*'),
+            '/': operator('/'),
+            '^': operator('^'),
+            neg: (a) => isQuantity(a) ? new Quantity(math.neg(a.value), a.unit) : math.neg(a),
+            isZero: (a) => math.isZero(isQuantity(a) ? a.value : a),
+            toNumber: (a) => math.toNumber(isQuantity(a) ? a.value : a),
+            base: math
+        };
+    }
+
+    // Calculate a box and record how: numbers as read, each operation in the order it was applied
+    // (multiply/divide before add/subtract), the lines a column left out and its total
+    // Returns { calculation, steps } with steps as { kind, pass, text }
+    explain(text, options = {}) {
+        const steps = [];
+        const calculation = this.calculate(text, { ...options, trace: steps });
+
+        // A lone number never goes through the expression evaluator
+        if (calculation && calculation.type === 'single') {
+            const format = this.detectNumberFormat(calculation.original);
+            steps.push({
+                kind: 'read',
+                pass: 'read',
+                text: `${calculation.original.trim()} → ${calculation.formatted}${format && format.type !== 'standard' ? ` (${format.description})` : ''}`
+            });
+        }
+        return { calculation, steps };
+    }
+
+    // Record an explain step; `describe` only runs while tracing
+    trace(context, kind, pass, describe) {
+        if (context.trace) {
+            context.trace.push({ kind, pass, text: describe() });
+        }
     }
 
     // Main calculation method - detects type and calculates
-    calculate(text) {
+    // options.resolveReference(name) looks up other boxes for "#name" references:
+    // it returns null for an unknown box, { value } for its total or { error } when it has none
+    // options.resolvePrevious() does the same for the box above ("prev")
+    calculate(text, options = {}) {
         if (!text || !text.trim()) {
             return null;
         }
@@ -32,7 +288,15 @@ class CalculationEngine {
         // We replace with spaces to ensure word boundaries are kept.
         const textWithoutComments = text.replace(/"[^"]*"/g, match => ' '.repeat(match.length));
 
-        const cleanText = textWithoutComments.trim();
+        // Per-box @pragma lines (e.g. "@decimal") are blanked so line indices stay intact
+        // options.settings holds the box's own toggles (e.g. running totals); pragmas take priority
+        const { text: body, settings, errors } = this.extractPragmas(textWithoutComments);
+        const context = this.createContext({ ...options.settings, ...settings }, options.resolveReference, body);
+        context.trace = options.trace || null;
+        context.pragmaErrors = errors;
+        context.resolvePrevious = options.resolvePrevious || null;
+
+        const cleanText = body.trim();
 
         // Check for specific time with timezone (e.g., "10:30 PM MST" or "10:30 PM MST + 2")
         const specificTimeMatch = cleanText.match(/^(\d{1,2}):(\d{2})\s*(AM|PM)\s+(PST|MST|CST|EST|UTC|IST)\s*([-+]\s*\d+)?$/i);
@@ -45,6 +309,24 @@ class CalculationEngine {
             return this.convertSpecificTime(hours, minutes, period, timezone, offsetHours);
         }
 
+        // Dates: "2026-10-19 + 45 days", "next friday", "days between 2026-01-01 and 2026-03-15"
+        const dateResult = this.calculateDate(cleanText, context);
+        if (dateResult) {
+            return dateResult;
+        }
+
+        // Loan schedule: "amortize 250000 at 6.5% for 30y"
+        const schedule = this.calculateAmortization(cleanText, context);
+        if (schedule) {
+            return schedule;
+        }
+
+        // Equation with one unknown: "x * 1.08 + 15 = 200"
+        const solution = this.calculateEquation(cleanText, context);
+        if (solution) {
+            return solution;
+        }
+
         // Check for timezone conversion keyword with optional offset
         const timeMatch = cleanText.toLowerCase().match(/^time\s*([-+]\s*\d+)?$/);
         if (timeMatch) {
@@ -54,464 +336,1796 @@ class CalculationEngine {
 
         // Detect calculation type - prioritize mixed calculations
         // Use text.trim().includes('\n') to detect if original input has multiple lines
-        // We pass textWithoutComments (UNTRIMMED) to calculateMixed to preserve line indices
-        if (text.trim().includes('\n')) {
-            return this.calculateMixed(textWithoutComments);
-        } else if (cleanText.includes(' ') || /[-+×*÷\/]/.test(cleanText)) {
-            // Check for spaces OR mathematical operators
-            return this.calculateHorizontalSequence(cleanText);
-        } else if (this.isNumber(cleanText)) {
-            return this.createSingleNumberResult(cleanText);
+        // We pass the body (UNTRIMMED) to calculateMixed to preserve line indices
+        // A box with a pragma it can't read stays a column, so the pragma line can show its error
+        if (cleanText.includes('\n') || (cleanText && errors.size > 0)) {
+            return this.calculateMixed(body, context, text);
+        } else if (cleanText.includes(' ') || /[-+×*÷\/^()]/.test(cleanText)) {
+            // Check for spaces, mathematical operators OR parentheses
+            return this.calculateHorizontalSequence(cleanText, context)
+                || this.calculateAdvanced(cleanText, context)
+                || this.createSingleNumberResult(cleanText, context);
+        } else if (this.isNumber(cleanText) && !/^0[xbo]/i.test(cleanText)) {
+            return this.createSingleNumberResult(cleanText, context);
         }
 
+        // A lone constant such as "pi" or a based integer ("0xFF"
+        return this.calculateAdvanced(cleanText, context);
+    }
+
+    // Read per-box @pragma lines into settings, blanking them out of the text
+    // A leading "#name" line names the box and is blanked the same way
+    extractPragmas(text) {
+        const settings = {};
+        const name = this.getBoxName(text);
+        let named = false;
+        const errors = new Map(); // Line index -> why its pragma was not applied
+        const lines = text.split('\n').map((line, i) => {
+            if (name && !named && line.trim()) {
+                named = true;
+                return '';
+            }
+
+            // Every "@" line stays out of the total, whether or not it is understood
+            const pragma = line.trim();
+            if (!/^@\w/.test(pragma)) return line;
+            const error = this.applyPragma(pragma, settings);
+            if (error) errors.set(i, error);
+            return '';
+        });
+
+        return { text: lines.join('\n'), settings, name, errors };
+    }
+
+    // Apply one "@..." line to settings; returns why it could not be, or null
+    applyPragma(pragma, settings) {
+        const [, name, value] = pragma.match(/^@(\w+)\s*(.*)$/);
+        const keyword = name.toLowerCase();
+        if (!FLAG_PRAGMAS[keyword] && !PRAGMA_ERRORS[keyword]) {
+            return `Unknown pragma '@${name}'`;
+        }
+
+        // Pragmas with a value: "@locale de-DE", "@precision 2", "@round half-even"
+        if (value) {
+            const setting = PRAGMA_ERRORS[keyword] && /^[\w.-]+$/.test(value) && this.readPragmaValue(keyword, value);
+            if (!setting) {
+                return PRAGMA_ERRORS[keyword] || `'@${keyword}' takes no value`;
+            }
+            Object.assign(settings, setting);
+        } else if (keyword === 'precision') {
+            settings.precision = CALC_CONFIG.DEFAULT_PRECISION;
+        } else if (FLAG_PRAGMAS[keyword]) {
+            Object.assign(settings, FLAG_PRAGMAS[keyword]);
+        } else {
+            return `'@${keyword}' needs a value`;
+        }
         return null;
     }
 
+    // Settings from a pragma with a value, or null when the pragma or its value is unknown
+    //   @locale de-DE (or auto)  how numbers are read
+    //   @precision 2             decimals every result shows
+    //   @round half-even         rounding mode; "@round 0.05" (or cash) rounds to that step
+    readPragmaValue(pragma, value) {
+        switch (pragma) {
+            case 'locale': {
+                const locale = value.toLowerCase() === 'auto' ? 'auto' : value;
+                return locale === 'auto' || getLocaleFormat(locale) ? { numberLocale: locale } : null;
+            }
+            case 'precision': {
+                const precision = /^[0-9]+$/.test(value) ? parseInt(value, 10) : NaN;
+                return precision <= 20 ? { precision } : null;
+            }
+            case 'round': {
+                const mode = ROUNDING_MODES[value.toLowerCase()];
+                if (mode) return { rounding: mode };
+                const step = value.toLowerCase() === 'cash' ? '0.05' : value;
+                const increment = /^[0-9]*\.?[0-9]+$/.test(step) ? Decimal.parse(step) : null;
+                return increment && !increment.isZero() ? { roundTo: step } : null;
+            }
+            default:
+                return null;
+        }
+    }
+
+    // Rounding a box asks for with @precision or @round: { precision, increment, mode }, or null
+    // Without "@precision" results show CALC_CONFIG.DEFAULT_PRECISION decimals, or as many as the step has
+    getRounding(settings) {
+        if (settings.precision === undefined && !settings.rounding && !settings.roundTo) {
+            return null;
+        }
+
+        const step = settings.roundTo ? Decimal.parse(settings.roundTo).normalize() : null;
+        const precision = settings.precision ?? (step ? step.scale : CALC_CONFIG.DEFAULT_PRECISION);
+        return {
+            precision,
+            increment: step || new Decimal(1n, precision),
+            mode: settings.rounding || 'half-up'
+        };
+    }
+
+    // A value rounded the box's way (quantities keep their unit; durations stay as they are)
+    // Rounding is exact: floats are read through their shortest text, so 2.675 rounds half-up to 2.68
+    roundValue(value, context) {
+        const { rounding, math } = context;
+        if (!rounding) {
+            return value;
+        }
+        if (value instanceof Quantity) {
+            return value.unit.duration ? value : new Quantity(this.roundValue(value.value, context), value.unit);
+        }
+
+        const decimal = value instanceof Decimal ? value
+            : (value instanceof Fraction ? value.toDecimal(CALC_CONFIG.DECIMAL_DIVISION_PRECISION) : Decimal.fromNumber(value));
+        if (!decimal) {
+            return value; // NaN and infinities
+        }
+        return math.fromText(decimal.round(rounding.increment, rounding.mode).toString());
+    }
+
+    // Format a result with the box's precision ("@precision 2" always shows two decimals)
+    // A line ending in "as fraction" still shows its fraction
+    formatValue(value, context, options = {}) {
+        if (!context.rounding || options.display === 'fraction') {
+            return this.formatResult(value, options);
+        }
+        return this.formatResult(this.roundValue(value, context), { precision: context.rounding.precision, fixed: true, ...options });
+    }
+
+    // Box name from a first line like "#groceries" (lowercase), or null
+    getBoxName(text) {
+        const firstLine = (text || '').split('\n').find(line => line.trim());
+        const match = firstLine && firstLine.trim().match(/^#([\p{L}_][\p{L}\p{N}_]*)$/u);
+        return match ? match[1].toLowerCase() : null;
+    }
+
+    // Name and "#name" references of a box, for the cross-box dependency graph
+    // References are collected generously (hashtags used as labels included)
+    getBoxLinks(text) {
+        const withoutComments = (text || '').replace(/"[^"]*"/g, '');
+        const name = this.getBoxName(withoutComments);
+        const references = new Set();
+
+        for (const match of withoutComments.matchAll(/#([\p{L}_][\p{L}\p{N}_]*)/gu)) {
+            references.add(match[1].toLowerCase());
+        }
+        references.delete(name);
+
+        // "prev" follows whichever box sits above, so it is tracked apart from names
+        return { name, references: [...references], previous: /(?<![\p{L}\p{N}_])prev(?![\p{L}\p{N}_])/iu.test(withoutComments) };
+    }
+
+    // Total a box exposes to "#name" references, or null when it has none
+    getBoxTotal(calculation) {
+        if (!calculation) return null;
+
+        switch (calculation.type) {
+            case 'mixed': {
+                if (calculation.vertical) return calculation.vertical.result;
+                const lines = calculation.horizontal.filter(entry => entry.type !== 'error');
+                return lines.length > 0 ? lines[lines.length - 1].result.result : null;
+            }
+            case 'error':
+            case 'timezone':
+                return null;
+            default:
+                return typeof calculation.result === 'number' ? calculation.result : null;
+        }
+    }
+
+    // Build the evaluation context from global settings and per-box overrides
+    // `text` is the box body, used to detect its number format when the locale is "auto"
+    createContext(overrides = {}, resolveReference = null, text = '') {
+        const settings = { ...this.settings, ...overrides };
+        return {
+            settings,
+            math: this.arithmetic[settings.arithmetic] || this.arithmetic.float,
+            numberFormat: this.getNumberFormat(text, settings.numberLocale),
+            durations: hasDurations(text), // "m" means minutes in a box with "8:30" or "1h"...
+            rounding: this.getRounding(settings), // From @precision and @round, see roundValue
+            scope: new Map(), // Variables assigned in this box ("rent = 1450")
+            resolveReference, // Totals of other boxes ("#rent"), provided by TextManager
+            resolvePrevious: null, // Total of the box above ("prev"), provided by TextManager
+            goalSeek: null, // { name, value } while goal seek tries a value for the line defining `name`
+            column: null, // { last, values } while a column is evaluated, for "ans" and "total"
+            trace: null // Steps for explain(), collected only when it asks
+        };
+    }
+
+    // Separators for reading numbers: the chosen locale's, or those the box's own numbers use
+    // Without evidence either way numbers read with a decimal point and ambiguous ones are flagged
+    // A chosen locale is kept as `locale`, so numbers written another way are errors rather than guesses
+    getNumberFormat(text, locale = 'auto') {
+        const chosen = locale && locale !== 'auto' && getLocaleFormat(locale);
+        if (chosen) {
+            return { ...chosen, locale };
+        }
+        return detectLocaleFormat(text) || { ...DOT_DECIMAL, guessed: true };
+    }
+
     // Calculate mixed (both horizontal lines and vertical column)
-    calculateMixed(text) {
+    // `source` is the box text before comments and pragmas were blanked, to tell those lines apart
+    // Every non-blank line is classified in `lines` as counted, ignored, comment or error, with the reason
+    calculateMixed(text, context = this.createContext(), source = text) {
         const lines = text.split('\n');
+        const sourceLines = source.split('\n');
+        const diagnostics = [];
+        const classify = (line, kind, reason) => {
+            diagnostics.push({ line, kind, reason });
+            if (kind === 'ignored' || kind === 'error') {
+                this.trace(context, 'skip', 'skipped', () => `Line ${line + 1} left out: ${reason}`);
+            }
+        };
         const calculations = [];
-        let allNumbers = [];
-
-        // First, calculate each horizontal line
+        const values = [];
+        let segment = []; // Line values since the last aggregate line ("avg", "p90")
+        let aggregated = []; // Values the previous aggregate used, shared by consecutive aggregate lines
+        let unsafe = false;
+        const ambiguous = []; // Numbers that read two ways ("1.000"), for the total's warning
+        const counted = []; // { line, value } of every line in the total, for running totals
+        const assigned = new Set(); // Names defined by assignment lines, which goal seek can vary
+        const seeks = []; // "goal seek" lines, solved once the rest of the box is known
+        context.column = { last: undefined, values }; // For "ans" (last line result) and "total" (values so far)
+
+        // First, calculate each line with the same expression rules as a single-line box
         for (let i = 0; i < lines.length; i++) {
             const line = lines[i].trim();
-            if (!line) continue;
+            if (!line) {
+                // Quoted comments, @pragmas and the box name leave a blank line behind
+                const pragmaError = context.pragmaErrors && context.pragmaErrors.get(i);
+                if (pragmaError) {
+                    calculations.push({ type: 'error', line: i, error: new ExpressionError(pragmaError) });
+                    classify(i, 'error', pragmaError);
+                } else if (sourceLines[i] && sourceLines[i].trim()) {
+                    classify(i, 'comment', 'Comment or setting');
+                }
+                continue;
+            }
+
+            this.trace(context, 'line', 'line', () => `Line ${i + 1}: ${line}`);
+
+            // Date lines show their date inline and stay out of the column total
+            const date = this.calculateDate(line, context);
+            if (date) {
+                calculations.push(date.type === 'error'
+                    ? { type: 'error', line: i, error: date.error }
+                    : { type: 'horizontal', line: i, result: date, numbers: [] });
+                if (date.type === 'error') {
+                    classify(i, 'error', date.error.message);
+                } else {
+                    classify(i, 'ignored', 'Date, not added to the total');
+                }
+                continue;
+            }
+
+            // Goal seek lines need the whole box, so they wait for the end (a goal seek's own tries skip them)
+            const seek = this.getGoalSeek(line);
+            if (seek) {
+                if (!context.goalSeek) {
+                    seeks.push({ ...seek, line: i, text: line });
+                }
+                continue;
+            }
+
+            const keyword = this.getAggregateKeyword(line, context);
+            if (keyword) {
+                // Aggregates summarize the lines above and don't count toward the column total
+                aggregated = segment.length > 0 ? segment : aggregated;
+                const entry = this.createAggregateEntry(keyword, aggregated, i, line, context);
+                calculations.push(entry);
+                if (entry.type === 'error') {
+                    classify(i, 'error', entry.error.message);
+                } else {
+                    context.column.last = entry.value;
+                    classify(i, 'ignored', `'${keyword.keyword}' summarizes the lines above, not added to the total`);
+                }
+                segment = [];
+                continue;
+            }
+
+            const modifier = this.getModifier(line, context);
+            if (modifier) {
+                // Modifiers add their amount to the total but stay out of aggregates
+                const entry = this.createModifierEntry(modifier, values, i, line, context);
+                calculations.push(entry);
+                if (entry.type === 'modifier') {
+                    values.push(entry.value);
+                    context.column.last = entry.value;
+                    counted.push({ line: i, value: entry.value });
+                    classify(i, 'counted', null);
+                } else {
+                    classify(i, 'error', entry.error.message);
+                }
+                continue;
+            }
+
+            try {
+                // Equations show the unknown's value inline and define it for the lines below
+                const equation = this.getEquation(line);
+                const solution = equation && this.solveEquation(equation, context);
+                if (solution) {
+                    context.scope.set(solution.name, solution.value);
+                    calculations.push({ type: 'solve', line: i, name: solution.name, value: solution.value, result: this.createSolveResult(solution, line, context) });
+                    context.column.last = solution.value;
+                    classify(i, 'ignored', `Solves for '${solution.name}', not added to the total`);
+                    continue;
+                }
+
+                const evaluation = this.evaluateExpression(line, context);
+                if (!evaluation) {
+                    classify(i, 'ignored', 'No number on this line');
+                    continue;
+                }
+
+                if (evaluation.assignment) {
+                    // Assignments show their value inline but don't count toward the column total
+                    calculations.push({
+                        type: 'assignment',
+                        line: i,
+                        name: evaluation.assignment,
+                        result: this.createExpressionResult('assignment', evaluation, line, context),
+                        numbers: evaluation.numbers
+                    });
+                    context.column.last = evaluation.value;
+                    assigned.add(evaluation.assignment.toLowerCase());
+                    classify(i, 'ignored', `Defines '${evaluation.assignment}', not added to the total`);
+                    continue;
+                }
 
-            if (line.includes(' ') || /[-+×*÷\/]/.test(line)) {
-                // This line has horizontal calculation
-                const horizontalResult = this.calculateHorizontalSequence(line);
-                if (horizontalResult && horizontalResult.numbers.length > 1) {
+                // A line of just "total" shows the subtotal; adding it would count everything twice
+                if (this.isSubtotalLine(line, context)) {
                     calculations.push({
                         type: 'horizontal',
                         line: i,
-                        result: horizontalResult,
-                        numbers: horizontalResult.numbers
+                        result: this.createExpressionResult('horizontal', evaluation, line, context),
+                        numbers: evaluation.numbers
                     });
-                    // Add the result to the vertical calculation
-                    allNumbers.push(horizontalResult.result);
+                    context.column.last = evaluation.value;
+                    classify(i, 'ignored', `'${line}' shows the subtotal, not added to the total`);
+                    continue;
+                }
+
+                if (evaluation.numbers.length > 1 || evaluation.advanced || evaluation.percent) {
+                    // This line has horizontal calculation (or is a percentage, shown as such)
+                    calculations.push({
+                        type: 'horizontal',
+                        line: i,
+                        result: this.createExpressionResult('horizontal', evaluation, line, context),
+                        numbers: evaluation.numbers
+                    });
+                }
+
+                // "15%" alone has no amount to add; "tax 15%" or "discount 15%" applies it to the subtotal
+                if (evaluation.percent) {
+                    context.column.last = evaluation.value;
+                    classify(i, 'ignored', "Percentage, not added to the total (use 'tax 15%' or 'discount 15%' to apply it)");
+                    continue;
+                }
+
+                // Add the line result to the vertical calculation, rounded like it shows
+                // so the total matches the lines ("@precision 2")
+                const value = this.roundValue(evaluation.value, context);
+                if (context.math.toNumber(value) !== context.math.toNumber(evaluation.value)) {
+                    this.trace(context, 'step', 'round', () => `${this.formatResult(evaluation.value)} → ${this.formatValue(value, context)} (${context.rounding.mode})`);
+                }
+                values.push(value);
+                context.column.last = value;
+                segment.push(value);
+                counted.push({ line: i, value });
+                classify(i, 'counted', null);
+                unsafe = unsafe || evaluation.unsafe;
+                ambiguous.push(...evaluation.ambiguous);
+            } catch (error) {
+                // A reference cycle leaves the whole box without a total
+                if (error.circular) {
+                    return this.createErrorResult(error, text);
+                }
+
+                const errorResult = this.createErrorResult(error, line);
+                if (errorResult) {
+                    calculations.push({ type: 'error', line: i, error: errorResult.error });
+                    classify(i, 'error', errorResult.error.message);
                 } else {
-                    // Single number, add to vertical calculation
-                    const num = this.parseNumber(line);
-                    if (!isNaN(num)) {
-                        allNumbers.push(num);
-                    }
+                    classify(i, 'ignored', 'Unfinished expression, not added to the total');
                 }
+            }
+        }
+
+        // Goal seek: the value a named line needs for the box total to reach the target
+        seeks.forEach(seek => {
+            const entry = this.createGoalSeekEntry(seek, text, seeks.map(other => other.line), assigned, context);
+            if (!entry) {
+                classify(seek.line, 'ignored', 'Unfinished goal seek');
+                return;
+            }
+            calculations.push(entry);
+            if (entry.type === 'error') {
+                classify(seek.line, 'error', entry.error.message);
             } else {
-                // Single number, add to vertical calculation
-                const num = this.parseNumber(line);
-                if (!isNaN(num)) {
-                    allNumbers.push(num);
+                classify(seek.line, 'ignored', `Goal seek for '${entry.name}', not added to the total`);
+            }
+        });
+
+        // Running totals ("@running" or the box's toggle) show the total so far on every counted line
+        if (context.settings.running) {
+            this.addRunningTotals(calculations, counted, context);
+        }
+
+        // Then calculate the vertical total (lines with incompatible units have none)
+        let verticalResult;
+        try {
+            verticalResult = this.calculateVerticalColumn(values, text, context, unsafe, ambiguous);
+        } catch (error) {
+            verticalResult = this.createErrorResult(error, text);
+        }
+
+        if (verticalResult && verticalResult.type === 'vertical') {
+            this.trace(context, 'total', 'column', () => `${values.map(value => this.formatResult(value)).join(' + ')} = ${verticalResult.formatted}`);
+        }
+
+        // The total's tooltip says how many lines it left out
+        const ignored = diagnostics.filter(entry => entry.kind === 'ignored').length;
+        const errors = diagnostics.filter(entry => entry.kind === 'error').length;
+        if (verticalResult && verticalResult.type !== 'error' && ignored + errors > 0) {
+            verticalResult.skipped = { ignored, errors };
+        }
+
+        // Return mixed calculation result
+        if (calculations.length > 0 || verticalResult) {
+            return {
+                type: 'mixed',
+                horizontal: calculations,
+                vertical: verticalResult,
+                lines: diagnostics,
+                original: text
+            };
+        }
+
+        return null;
+    }
+
+    // Checkbook-style running totals: lines with an inline result get a `running` field,
+    // plain number lines a 'running' entry of their own
+    // Totals stop at the first line that can't be added (another currency without rates)
+    addRunningTotals(calculations, counted, context) {
+        const { math } = context;
+        let total = null;
+
+        for (const { line, value } of counted) {
+            try {
+                total = total === null ? value : math['+'](total, value);
+            } catch (error) {
+                if (!(error instanceof UnitError)) throw error;
+                return;
+            }
+
+            const formatted = this.formatValue(total, context);
+            const entry = calculations.find(calculation => calculation.line === line && calculation.type !== 'error');
+            if (entry) {
+                entry.running = formatted;
+                continue;
+            }
+            calculations.push({
+                type: 'running',
+                line,
+                result: {
+                    type: 'running',
+                    numbers: [],
+                    result: math.toNumber(total),
+                    operation: 'running',
+                    formatted,
+                    original: line
                 }
+            });
+        }
+    }
+
+    // Aggregate keyword on a line of its own: "avg", "median", "p90"...
+    // and the cash flow keywords "irr" and "npv 10%" / "npv(10%)", which take the lines above as flows
+    // A variable with the same name keeps its meaning
+    getAggregateKeyword(line, context) {
+        const match = line.match(/^(sum|avg|average|mean|count|median|min|max|stdev|p(?:[1-9][0-9]?|100)|irr)$/i)
+            || line.match(/^(npv)\s*(?:\(\s*([^(),;]+?)\s*\)|\s([^(),;]+))$/i);
+        if (!match || context.scope.has(match[1].toLowerCase())) {
+            return null;
+        }
+        return { keyword: match[1].toLowerCase(), argument: match[2] || match[3] || null };
+    }
+
+    // Inline entry for an aggregate line over the values above it
+    createAggregateEntry({ keyword, argument }, values, line, text, context) {
+        if (values.length === 0) {
+            return { type: 'error', line, error: { message: `No numbers above '${keyword}'`, position: 0 } };
+        }
+
+        let value;
+        try {
+            value = this.calculateAggregate(keyword, values, context, argument);
+        } catch (error) {
+            return { type: 'error', line, error: this.createErrorResult(error, text).error };
+        }
+        const result = context.math.toNumber(value);
+        this.trace(context, 'step', keyword, () => `${keyword} of ${values.length} line${values.length === 1 ? '' : 's'} above = ${this.formatResult(value)}`);
+        return {
+            type: 'aggregate',
+            line,
+            keyword,
+            value,
+            result: {
+                type: 'aggregate',
+                numbers: values.map(v => context.math.toNumber(v)),
+                result,
+                operation: keyword,
+                formatted: keyword === 'irr' ? this.formatPercent(value, context) : this.formatValue(value, context),
+                original: text
+            }
+        };
+    }
+
+    // Ledger modifier line: "tax 8.25%", "tip 18%", "discount 10%", "shipping 12" (also "vat" and "fee")
+    // A variable with the same name keeps its meaning
+    getModifier(line, context) {
+        const match = line.match(/^(tax|vat|tip|discount|shipping|fee)(?:\s*:\s*|\s+)(\S.*)$/i);
+        if (!match || context.scope.has(match[1].toLowerCase())) {
+            return null;
+        }
+        return { keyword: match[1].toLowerCase(), argument: match[2], offset: line.length - match[2].length };
+    }
+
+    // Inline entry for a modifier: a percentage applies to the subtotal of every line above it
+    // (earlier modifiers included), a plain amount is added as is; discounts subtract
+    createModifierEntry({ keyword, argument, offset }, values, line, text, context) {
+        const { math } = context;
+        let value;
+        try {
+            const evaluation = this.evaluateExpression(argument, context, offset);
+            if (!evaluation) {
+                throw new ExpressionError(`Missing amount for '${keyword}'`, text.length);
+            }
+            if (evaluation.percent && values.length === 0) {
+                throw new ExpressionError(`No subtotal above '${keyword}'`, 0);
+            }
+
+            value = evaluation.value;
+            if (evaluation.percent) {
+                const subtotal = values.reduce((acc, item) => math['+'](acc, item));
+                value = math['*'](subtotal, value);
+                this.trace(context, 'step', keyword, () => `${argument} of the subtotal ${this.formatResult(subtotal)} = ${this.formatResult(value)}`);
             }
+            if (keyword === 'discount') {
+                value = math['-'](math.fromNumber(0), value);
+            }
+            value = this.roundValue(value, context); // Tax is rounded per line, like on an invoice
+        } catch (error) {
+            return { type: 'error', line, error: this.createErrorResult(error, text).error };
+        }
+
+        return {
+            type: 'modifier',
+            line,
+            keyword,
+            value,
+            result: {
+                type: 'modifier',
+                numbers: [],
+                result: math.toNumber(value),
+                operation: keyword,
+                formatted: this.formatValue(value, context),
+                original: text
+            }
+        };
+    }
+
+    // Sum, count and averages use the active arithmetic; the rest come from getStatistics
+    // and the finance functions, with cash flows in the unit of the first line
+    calculateAggregate(keyword, values, context, argument = null) {
+        const { math } = context;
+        const sum = values.reduce((acc, value) => math['+'](acc, value));
+
+        switch (keyword) {
+            case 'irr':
+            case 'npv': {
+                const unit = values[0] instanceof Quantity ? values[0].unit : null;
+                const zero = unit ? new Quantity(math.fromNumber(0), unit) : math.fromNumber(0);
+                const flows = values.map(value => math.toNumber(math['+'](zero, value)));
+                if (keyword === 'irr') {
+                    const rate = irr(...flows);
+                    if (!Number.isFinite(rate)) {
+                        throw new ExpressionError('irr needs cash flows in and out', 0);
+                    }
+                    return math.fromNumber(rate);
+                }
+                const evaluation = this.evaluateExpression(argument, context);
+                if (!evaluation) {
+                    throw new ExpressionError('npv needs a rate', 0);
+                }
+                const rate = evaluation.value;
+                if (rate instanceof Quantity) {
+                    throw new ExpressionError('npv needs a plain rate', 0);
+                }
+                const value = math.fromNumber(npv(math.toNumber(rate), ...flows));
+                return unit ? new Quantity(value, unit) : value;
+            }
+            case 'sum':
+                return sum;
+            case 'count':
+                return math.fromNumber(values.length);
+            case 'avg':
+            case 'average':
+            case 'mean':
+                return math['/'](sum, math.fromNumber(values.length));
+            default: {
+                // Quantities are compared in the unit of the first line
+                const unit = values[0] instanceof Quantity ? values[0].unit : null;
+                const zero = unit ? new Quantity(math.fromNumber(0), unit) : math.fromNumber(0);
+                const stats = this.getStatistics(values.map(value => math.toNumber(math['+'](zero, value))));
+                const percentile = keyword.match(/^p(\d+)$/);
+                const value = math.fromNumber(percentile ? stats.percentile(Number(percentile[1])) : stats[keyword]);
+                return unit ? new Quantity(value, unit) : value;
+            }
+        }
+    }
+
+    // Date arithmetic, or null when the text isn't a date expression:
+    //   "2026-10-19 + 45 days", "today + 3 weeks - 1 day", "next friday"  -> a date with its weekday
+    //   "2026-03-15 - 2026-01-01", "days between 2026-01-01 and 2026-03-15" -> a number of days
+    // Slashed dates read day or month first by the number locale; "auto" reads month first and flags swaps
+    calculateDate(text, context = this.createContext()) {
+        const between = text.match(new RegExp(`^(days|weeks)\\s+between\\s+(${DATE_PATTERN})\\s+and\\s+(${DATE_PATTERN})$`, 'i'));
+        const difference = !between && text.match(new RegExp(`^(${DATE_PATTERN})\\s*-\\s*(${DATE_PATTERN})$`, 'i'));
+        const shifted = !between && !difference
+            && text.match(new RegExp(`^(${DATE_PATTERN})((?:\\s*[-+]\\s*\\d+\\s*(?:days?|weeks?|months?|years?))*)$`, 'i'));
+        if (!between && !difference && !shifted) {
+            // Anything else done to a date ("+ 1.5 days", "+ 2 hours") is not plain arithmetic either
+            if (new RegExp(`^(?:${DATE_PATTERN})\\s*[-+*/^]`, 'i').test(text)) {
+                return this.createErrorResult(new ExpressionError('Only whole days, weeks, months or years can be added to a date'), text);
+            }
+            return null;
+        }
+
+        const locale = context.settings.numberLocale;
+        const explicit = locale && locale !== 'auto' && getLocaleFormat(locale);
+        const dayFirst = explicit ? isDayFirst(locale) : context.numberFormat.decimal === ',' && !context.numberFormat.guessed;
+        const ambiguous = [];
+        const read = (spelled) => {
+            const date = parseDate(spelled, { dayFirst });
+            if (date.ambiguous && !explicit) ambiguous.push(spelled.trim());
+            return date.time;
+        };
+
+        try {
+            if (between || difference) {
+                const [from, to] = between ? [read(between[2]), read(between[3])] : [read(difference[2]), read(difference[1])];
+                const days = daysBetween(from, to);
+                const weeks = between && between[1].toLowerCase() === 'weeks';
+                const value = weeks ? days / 7 : days;
+                return {
+                    type: 'date',
+                    numbers: [],
+                    result: value,
+                    operation: 'days',
+                    formatted: `${this.formatResult(value)} ${weeks ? 'weeks' : 'days'}`,
+                    warning: this.getDateWarning(ambiguous, dayFirst),
+                    original: text
+                };
+            }
+
+            let time = read(shifted[1]);
+            for (const [, sign, amount, unit] of shifted[2].matchAll(/([-+])\s*(\d+)\s*(day|week|month|year)/gi)) {
+                time = addToDate(time, Number(sign + amount), unit.toLowerCase());
+            }
+            return {
+                type: 'date',
+                numbers: [],
+                result: null, // Dates have no numeric total
+                date: toISODate(time),
+                operation: 'date',
+                formatted: formatDate(time, this.getOutputLocale()),
+                warning: this.getDateWarning(ambiguous, dayFirst),
+                original: text
+            };
+        } catch (error) {
+            if (!(error instanceof DateError)) throw error;
+            return this.createErrorResult(new ExpressionError(error.message), text);
+        }
+    }
+
+    // Single-line equation: "x * 1.08 + 15 = 200" shows x, or null for other text
+    calculateEquation(text, context = this.createContext()) {
+        const equation = text.includes('\n') ? null : this.getEquation(text);
+        if (!equation) {
+            return null;
+        }
+
+        try {
+            const solution = this.solveEquation(equation, context);
+            return solution && this.createSolveResult(solution, text, context);
+        } catch (error) {
+            return this.createErrorResult(error, text);
+        }
+    }
+
+    // Both sides of an equation, or null; "x = 5" is an assignment instead
+    getEquation(line) {
+        const sides = line.split('=');
+        if (sides.length !== 2 || !sides[0].trim() || !sides[1].trim() || /^\s*[\p{L}_][\p{L}\p{N}_]*\s*$/u.test(sides[0])) {
+            return null;
+        }
+        return { left: sides[0], right: sides[1] };
+    }
+
+    // Solve for the one name neither side defines: { name, value }, or null without an unknown
+    // (the line is then read as an ordinary expression); see solve() for the method
+    solveEquation({ left, right }, context) {
+        const { math } = context;
+        const sides = [
+            this.tokenizeMathExpression(left, 0, context.numberFormat, context.durations),
+            this.tokenizeMathExpression(right, left.length + 1, context.numberFormat, context.durations)
+        ].map(tokens => this.multiplyCoefficients(tokens));
+
+        // Names in operand slots, whether defined or not ("Total due = 5 * 2" has none)
+        const operands = { ...context, scope: { has: () => true } };
+        const resolved = sides.map(tokens => this.resolveNameTokens(tokens, operands));
+        const unknowns = new Set(resolved.flat()
+            .filter(token => token.type === 'name' && !this.isKnownName(token.value, context))
+            .map(token => token.value.toLowerCase()));
+        if (unknowns.size === 0) {
+            // Words outside operand slots are a label and keep the line a plain calculation;
+            // otherwise "1 = 1" would add up both sides
+            if (sides.some((tokens, i) => tokens.length > resolved[i].length)) {
+                return null;
+            }
+            throw new ExpressionError('No unknown to solve for', 0);
+        }
+        if (unknowns.size > 1) {
+            throw new ExpressionError(`Only one unknown can be solved for, found ${[...unknowns].map(name => `'${name}'`).join(' and ')}`, 0);
+        }
+
+        // Both sides are evaluated with the unknown set to each value tried; values where they can't
+        // be (division by zero) are skipped, and the first error is reported when none work
+        const [name] = unknowns;
+        let current = 0;
+        const solving = {
+            ...context,
+            trace: null,
+            scope: {
+                has: (key) => key === name || context.scope.has(key),
+                get: (key) => key === name ? math.fromNumber(current) : context.scope.get(key)
+            }
+        };
+        const [leftAst, rightAst] = sides.map(tokens => this.parser.parse(this.resolveNameTokens(tokens, solving)));
+        if (!leftAst || !rightAst) {
+            // "? = x": one side has nothing to evaluate yet
+            throw new ExpressionError('Expected a number', leftAst ? left.length + 1 + right.length : 0, true);
+        }
+
+        let failure = null;
+        let evaluated = false;
+        let varies = false; // Whether any value tried leaves the sides unequal
+        const difference = (value) => {
+            current = value;
+            try {
+                const result = math.toNumber(math['-'](this.evaluateNode(leftAst, solving), this.evaluateNode(rightAst, solving)));
+                evaluated = true;
+                varies = varies || result !== 0;
+                return result;
+            } catch (error) {
+                if (error.circular || !(error instanceof ExpressionError || error instanceof UnitError)) throw error;
+                failure = failure || error;
+                return NaN;
+            }
+        };
+
+        const value = solve(difference);
+        if (evaluated && !varies) {
+            throw new ExpressionError(`Any value of '${name}' works`, 0);
+        }
+        if (Number.isNaN(value)) {
+            throw evaluated || !failure
+                ? new ExpressionError(`No value of '${name}' solves this`, 0)
+                : this.toExpressionError(failure, 0);
+        }
+
+        const solution = math.fromNumber(value);
+        this.trace(context, 'step', 'solve', () => `${left.trim()} = ${right.trim()} → ${name} = ${this.formatResult(solution)}`);
+        return { name, value: solution };
+    }
+
+    // A number directly before a name multiplies it in an equation: "2x" and "3 x" are 2 * x and 3 * x
+    multiplyCoefficients(tokens) {
+        return tokens.flatMap((token, i) => {
+            const prev = tokens[i - 1];
+            return token.type === 'name' && prev && prev.type === 'number'
+                ? [{ type: 'operator', value: '*', raw: '', start: token.start, end: token.start }, token]
+                : [token];
+        });
+    }
+
+    // "goal seek price to 5000" (also "for" or "="), or null
+    getGoalSeek(line) {
+        const match = line.match(/^goal\s*seek\s+([\p{L}_][\p{L}\p{N}_]*)\s*(?:\s(?:to|for)\s|=)\s*(\S.*)$/iu);
+        return match ? { name: match[1], target: match[2], offset: line.length - match[2].length } : null;
+    }
+
+    // Inline entry for a goal seek line: the value the line defining `name` needs for the box total
+    // to reach the target, found by recalculating the box (without its goal seek lines) for each value tried
+    // Returns null while the target is unfinished ("goal seek price to 5000 +")
+    createGoalSeekEntry({ name, target, offset, line, text }, body, seekLines, assigned, context) {
+        const { math } = context;
+        const key = name.toLowerCase();
+        try {
+            if (!assigned.has(key)) {
+                throw new ExpressionError(`No line defines '${name}'`, 0);
+            }
+            const evaluation = this.evaluateExpression(target, context, offset);
+            if (!evaluation) {
+                throw new ExpressionError('Missing goal seek target', text.length);
+            }
+            const goal = math.toNumber(evaluation.value);
+
+            // Tries skip the box's rounding, which would turn the total into steps
+            const tried = body.split('\n').map((content, i) => seekLines.includes(i) ? '' : content).join('\n');
+            const difference = (value) => {
+                const trial = this.createContext(context.settings, context.resolveReference, body);
+                trial.resolvePrevious = context.resolvePrevious;
+                trial.rounding = null;
+                trial.goalSeek = { name: key, value };
+                const total = this.getBoxTotal(this.calculateMixed(tried, trial));
+                return total === null ? NaN : total - goal;
+            };
+
+            const current = context.scope.get(key);
+            const found = solve(difference, math.toNumber(current), {
+                evaluations: CALC_CONFIG.GOAL_SEEK_EVALUATIONS,
+                milliseconds: CALC_CONFIG.GOAL_SEEK_MILLISECONDS
+            });
+            if (Number.isNaN(found)) {
+                throw new ExpressionError(`No value of '${name}' brings the total to ${this.formatResult(evaluation.value)}`, 0);
+            }
+
+            const value = current instanceof Quantity ? new Quantity(math.fromNumber(found), current.unit) : math.fromNumber(found);
+            this.trace(context, 'step', 'goal seek', () => `${name} = ${this.formatResult(value)} brings the total to ${this.formatResult(evaluation.value)}`);
+            return { type: 'solve', line, name, value, result: this.createSolveResult({ name, value }, text, context) };
+        } catch (error) {
+            const result = this.createErrorResult(error, text);
+            return result && { type: 'error', line, error: result.error };
+        }
+    }
+
+    // Result for a solved unknown; displays as "x = 171.30"
+    createSolveResult({ name, value }, text, context) {
+        return {
+            type: 'solve',
+            name,
+            numbers: [],
+            result: context.math.toNumber(value),
+            operation: 'solve',
+            formatted: this.formatValue(value, context),
+            original: text
+        };
+    }
+
+    // Monthly loan schedule for "amortize <amount> at <annual rate> for <term>", or null for other text
+    // The term is in years ("30y", "15 years") or months ("60 months"); a rate without "%" is still a percentage
+    calculateAmortization(text, context = this.createContext()) {
+        const match = text.match(/^amortize\s+(.+?)\s+at\s+(.+?)\s+for\s+(\d+(?:\.\d+)?)\s*(y|yrs?|years?|m|mo|months?)$/i);
+        if (!match) {
+            return null;
+        }
+
+        try {
+            const { math } = context;
+            const read = (part) => {
+                const position = text.indexOf(part, 'amortize'.length);
+                const evaluation = this.evaluateExpression(part, context, position);
+                if (!evaluation) {
+                    throw new ExpressionError(`Expected a number, got '${part}'`, position);
+                }
+                return evaluation;
+            };
+            const amount = read(match[1]).value;
+            const rate = read(match[2]);
+            if (rate.value instanceof Quantity) {
+                throw new ExpressionError('The rate must be a plain percentage', text.indexOf(match[2]));
+            }
+            if (amount instanceof Quantity && !amount.unit.currency) {
+                throw new ExpressionError(`Cannot amortize ${amount.unit.symbol}`, text.indexOf(match[1]));
+            }
+
+            const annualRate = math.toNumber(rate.value) / (rate.percent ? 1 : 100);
+            const months = Math.round(Number(match[3]) * (/^y/i.test(match[4]) ? 12 : 1));
+            const unit = amount instanceof Quantity ? amount.unit : null;
+            const principal = math.toNumber(unit ? amount.value : amount);
+            if (months < 1 || !(principal > 0) || annualRate < 0) {
+                throw new ExpressionError('Amortize needs a positive amount, rate and term', 0);
+            }
+            if (months > CALC_CONFIG.MAX_AMORTIZATION_MONTHS) {
+                throw new ExpressionError(`Amortize terms go up to ${CALC_CONFIG.MAX_AMORTIZATION_MONTHS / 12} years`, 0);
+            }
+
+            const { payment, rows, totals } = amortize(principal, annualRate / 12, months);
+            const format = (value) => this.formatResult(value, { precision: 2, fixed: true, currency: unit ? unit.symbol : false });
+            const columns = ['Period', 'Payment', 'Interest', 'Principal', 'Balance'];
+            const cells = (row) => [row.payment, row.interest, row.principal];
+
+            return {
+                type: 'amortization',
+                numbers: [],
+                result: payment,
+                operation: 'amortization',
+                formatted: `${format(payment)} / month`,
+                schedule: {
+                    columns,
+                    rows: rows.map(row => [String(row.period), ...cells(row).map(format), format(row.balance)]),
+                    totals: ['Total', ...cells(totals).map(format), '']
+                },
+                // Plain numbers so the schedule pastes into a spreadsheet as values
+                tsv: [columns, ...rows.map(row => [String(row.period), ...cells(row), row.balance]), ['Total', ...cells(totals), '']]
+                    .map(line => line.map(cell => typeof cell === 'number' ? cell.toFixed(2) : cell).join('\t'))
+                    .join('\n'),
+                original: text
+            };
+        } catch (error) {
+            return this.createErrorResult(error, text);
+        }
+    }
+
+    // Slashed dates read by a guessed order ("03/04/2026") ask for a locale, like ambiguous numbers
+    getDateWarning(ambiguous, dayFirst) {
+        if (ambiguous.length === 0) return undefined;
+        return `'${ambiguous[0]}' read ${dayFirst ? 'day' : 'month'} first; add @locale en-US (month first) or @locale en-GB (day first) to choose`;
+    }
+
+    // Calculate vertical column (sum of the line values in the active arithmetic)
+    calculateVerticalColumn(values, text, context = this.createContext(), unsafe = false, ambiguous = []) {
+        if (values.length <= 1) {
+            return null;
+        }
+
+        const currencies = new Set(values.filter(value => value instanceof Quantity && value.unit.currency).map(value => value.unit.symbol));
+        if (currencies.size > 1) {
+            return this.calculateCurrencySubtotals(values, text, context);
+        }
+
+        const { math } = context;
+        const sum = values.reduce((acc, value) => math['+'](acc, value));
+        const result = math.toNumber(sum);
+        return {
+            type: 'vertical',
+            numbers: values.map(value => math.toNumber(value)),
+            result: result,
+            operation: 'addition',
+            formatted: this.formatValue(sum, context),
+            warning: this.getPrecisionWarning(unsafe || this.isUnsafe(result, context)) || this.getAmbiguityWarning(ambiguous, context.numberFormat),
+            original: text
+        };
+    }
+
+    // A column mixing currencies gets one subtotal per currency instead of a converted sum
+    calculateCurrencySubtotals(values, text, context) {
+        const { math } = context;
+        const groups = new Map(); // Currency code ('' for plain numbers) -> running sum
+
+        values.forEach(value => {
+            const key = value instanceof Quantity && value.unit.currency ? value.unit.symbol : '';
+            groups.set(key, groups.has(key) ? math['+'](groups.get(key), value) : value);
+        });
+
+        const subtotals = [...groups.entries()].map(([currency, sum]) => ({
+            currency: currency || null,
+            result: math.toNumber(sum),
+            formatted: this.formatValue(sum, context)
+        }));
+
+        return {
+            type: 'vertical',
+            numbers: values.map(value => math.toNumber(value)),
+            result: null, // No single total across currencies
+            subtotals: subtotals,
+            operation: 'subtotals',
+            formatted: subtotals.map(subtotal => subtotal.formatted).join(' · '),
+            original: text
+        };
+    }
+
+    // Calculate horizontal sequence (space-separated numbers or a math expression)
+    calculateHorizontalSequence(text, context = this.createContext()) {
+        const traced = context.trace ? context.trace.length : 0;
+        try {
+            const evaluation = this.evaluateExpression(text, context);
+            if (!evaluation || evaluation.numbers.length <= 1) {
+                // The next attempt evaluates the line again and records its own steps
+                if (context.trace) context.trace.length = traced;
+                return null;
+            }
+
+            return this.createExpressionResult('horizontal', evaluation, text, context);
+        } catch (error) {
+            return this.createErrorResult(error, text);
         }
+    }
 
-        // Then calculate the vertical total
-        let verticalResult = null;
-        if (allNumbers.length > 1) {
-            const sum = allNumbers.reduce((acc, num) => acc + num, 0);
-            verticalResult = {
-                type: 'vertical',
-                numbers: allNumbers,
-                result: sum,
-                formatted: this.formatResult(sum)
-            };
+    // Tokenize, parse and evaluate a single line
+    // Returns null when the line holds no numbers, throws ExpressionError on invalid input
+    // `offset` is where the text starts in its line, so error positions stay line-relative
+    evaluateExpression(text, context = this.createContext(), offset = 0) {
+        // Assignment ("rent = 1450") defines a name for the lines below it
+        const assignment = text.match(/^\s*([\p{L}_][\p{L}\p{N}_]*)\s*=(.*)$/u);
+        const expression = assignment ? assignment[2] : text;
+        const start = offset + text.length - expression.length;
+
+        const evaluation = this.evaluatePercentPhrase(expression, context, start)
+            || this.evaluateArithmetic(expression, context, start);
+
+        if (!evaluation) {
+            if (assignment) {
+                throw new ExpressionError(`Missing value for '${assignment[1]}'`, offset + text.length, true);
+            }
+            return null;
         }
 
-        // Return mixed calculation result
-        if (calculations.length > 0 || (verticalResult && allNumbers.length > 1)) {
-            return {
-                type: 'mixed',
-                horizontal: calculations,
-                vertical: verticalResult,
-                original: text
-            };
+        if (assignment) {
+            const name = assignment[1].toLowerCase();
+            // Goal seek tries its own values for the line it solves (keeping the line's unit)
+            if (context.goalSeek && context.goalSeek.name === name) {
+                const value = context.math.fromNumber(context.goalSeek.value);
+                evaluation.value = evaluation.value instanceof Quantity ? new Quantity(value, evaluation.value.unit) : value;
+                evaluation.result = context.goalSeek.value;
+            }
+            context.scope.set(name, evaluation.value);
+            evaluation.assignment = assignment[1];
         }
 
-        // Fallback to simple vertical calculation if no horizontal calculations found
-        return this.calculateVerticalColumn(text);
+        return evaluation;
     }
 
-    // Calculate vertical column (line-separated numbers)
-    calculateVerticalColumn(text) {
-        const lines = text.split('\n');
-        const result = this.parseExpression(lines);
+    // Evaluate an arithmetic expression (everything but the percentage phrases)
+    // Based literals ("0xFF"), bitwise operators and base conversions ("255 in hex") make a
+    // programmer line, evaluated on exact integers and converted back to the box's arithmetic
+    // "… as fraction" and "… as decimal" only change how the result is shown
+    evaluateArithmetic(expression, context, offset) {
+        const fraction = expression.match(/^(.*?)\s+(?:in|to|as)\s+fractions?\s*$/i);
+        const body = fraction ? fraction[1] : expression;
+        const conversion = body.match(/^(.*?)\s+(?:in|to|as)\s+(hex|hexadecimal|bin|binary|oct|octal|dec|decimal)\s*$/i);
+        let radix = conversion ? RADIXES[conversion[2].toLowerCase()] : null;
+        let tokens = this.tokenizeMathExpression(conversion ? conversion[1] : body, offset, context.numberFormat, context.durations);
+
+        // "~" is bitwise not when it goes with a based literal, another bitwise operator, or a
+        // number in a calculation ("~5 + 1"); a lone "~25" means about 25
+        const operators = tokens.filter(token => token.type === 'operator');
+        const inverts = tokens.some((token, i) => token.type === 'operator' && token.value === '~'
+            && tokens[i + 1]?.type === 'number' && operators.some(operator => operator.value !== '~'));
+        const based = inverts || tokens.some(token => token.radix
+            || (token.type === 'operator' && BITWISE_OPERATORS.includes(token.value) && token.value !== '~'));
+        // Without based literals or bitwise operators "10/4 in decimal" is 2.5, not a base conversion
+        let display = fraction ? 'fraction' : null;
+        if (!based && conversion && conversion[2].toLowerCase() === 'decimal') {
+            radix = null;
+            display = 'decimal';
+        }
+        const programmer = radix !== null || based;
+        if (!programmer) {
+            tokens = tokens.filter(token => token.type !== 'operator' || token.value !== '~');
+        }
+        tokens = this.resolveNameTokens(tokens, context);
 
-        if (!result || result.numbers.length <= 1) {
+        if (!tokens.some(token => ['number', 'name', 'reference', 'function'].includes(token.type))) {
             return null;
         }
 
+        const ast = this.parser.parse(tokens);
+        const evaluationContext = programmer ? this.createProgrammerContext(context) : context;
+        const exact = this.evaluateNode(ast, evaluationContext);
+        if (programmer && exact instanceof Quantity) {
+            throw new ExpressionError('Programmer expressions need plain numbers', offset);
+        }
+        const value = programmer ? context.math.fromText(exact.toString()) : exact;
+        const result = context.math.toNumber(value);
+        const numbers = this.getOperandValues(ast, evaluationContext);
+
+        // Results that convert between currencies note the rates' date
+        const currencies = new Set();
+        this.walkNodes(ast, (node) => {
+            if ((node.type === 'quantity' || node.type === 'convert') && node.unit.currency) {
+                currencies.add(node.unit.symbol);
+            }
+        });
+
+        // Only percentages ("15% + 5%") and rate functions ("irr(-1000, 600, 600)") give a percentage
+        let percent = true;
+        this.walkNodes(ast, (node) => {
+            percent = percent && (node.type !== 'number' || this.isPercentNode(node)) && !['name', 'reference', 'call'].includes(node.type);
+        });
+        percent = percent || (ast.type === 'call' && !!MATH_FUNCTIONS[ast.name.toLowerCase()].rate);
+
         return {
-            type: 'vertical',
-            numbers: result.numbers,
-            result: result.result,
-            operation: result.operation,
-            formatted: this.formatResult(result.result),
-            original: text
+            numbers: numbers,
+            value: value,
+            result: result,
+            operation: this.getOperationType(ast),
+            assignment: null,
+            // "09:15-17:40" alone shows its length, "2 1/2" its value and "0.375 as fraction" 3/8
+            advanced: this.usesMathLibrary(ast, context) || programmer || display !== null || tokens.some(token => token.range || token.mixed),
+            percent: percent && !programmer,
+            note: currencies.size > 1 ? this.getRatesNote() : undefined,
+            ambiguous: tokens.filter(token => token.ambiguous).map(token => token.raw),
+            exact: programmer ? exact : undefined, // The BigInt result, written in `radix`
+            radix: programmer ? (radix || 10) : undefined,
+            display, // 'fraction' or 'decimal' when the line asks for one
+            unsafe: !programmer && [...numbers, result].some(number => this.isUnsafe(number, context))
         };
     }
 
-    // Calculate horizontal sequence (space-separated numbers)
-    calculateHorizontalSequence(text) {
-        // Normalize accounting parentheses with spaces: "( 200 )" -> "(200)"
-        // This ensures they are treated as a single token (negative number) instead of separate parts
-        let normalizedText = text.replace(/\(\s*([0-9.,$€£¥₹]+)\s*\)/g, '($1)');
+    // Context for programmer lines: integer arithmetic, with variables converted from the box's arithmetic
+    // when they are read (a variable holding 2.5 only fails where it is used)
+    createProgrammerContext(context) {
+        const math = this.arithmetic.integer;
+        const toInteger = (value) => value instanceof Quantity
+            ? new Quantity(toInteger(value.value), value.unit)
+            : math.fromText(value.toString());
 
-        // Simple parentheses rule:
-        // - If any (...) group contains more than a plain number, treat entire line as a math expression.
-        // - If parentheses wrap a single number (accounting), fall through to existing parsing.
-        if (normalizedText.includes('(') && normalizedText.includes(')')) {
-            const paren = /\(([^()]*)\)/g;
-            let hasMathGroup = false;
-            let m;
-            while ((m = paren.exec(normalizedText)) !== null) {
-                const inner = m[1].trim();
-                // Plain number (optional leading - and commas/decimals/currency)
-                const isPlainNumber = /^-?\$?[0-9][0-9,]*(?:\.[0-9]+)?$/.test(inner);
-                if (!isPlainNumber) { hasMathGroup = true; break; }
+        return {
+            ...context,
+            math,
+            scope: {
+                has: (name) => context.scope.has(name),
+                get: (name) => toInteger(context.scope.get(name))
             }
+        };
+    }
 
-            if (hasMathGroup) {
-                try {
-                    let cleanText = normalizedText
-                        .replace(/×/g, '*')
-                        .replace(/÷/g, '/');
-
-                    // Implicit multiplication (number)( ... ) or (...)number
-                    cleanText = cleanText.replace(/(\d)\s*\(/g, '$1*(');
-                    cleanText = cleanText.replace(/\)\s*(\d)/g, ')*$1');
-
-                    // Support space as addition between numbers (e.g., "1 2" -> "1+2")
-                    // This creates consistency with the app's general space-as-addition logic
-                    cleanText = cleanText.replace(/(\d)\s+(\d)/g, '$1+$2');
-
-                    // Allow only safe characters
-                    cleanText = cleanText.replace(/[^0-9+\-*/().\s]/g, '');
-
-                    const result = Function('"use strict"; return (' + cleanText + ')')();
-                    if (typeof result === 'number' && !isNaN(result)) {
-                        const originalNumbers = text.match(/\d+\.?\d*/g)?.map(n => parseFloat(n)) || [result];
-                        return {
-                            type: 'horizontal',
-                            numbers: originalNumbers,
-                            result,
-                            operation: 'mathematical',
-                            formatted: this.formatResult(result),
-                            original: text
-                        };
-                    }
-                } catch (e) {
-                    return null;
-                }
-            }
-            // If no math-group parentheses were found, proceed with existing parsing
-        }
+    getRatesNote() {
+        return this.currencyRates.asOf ? `Exchange rates as of ${this.currencyRates.asOf}` : 'Exchange rates without a date';
+    }
 
-        // First try to parse as a mathematical expression (no spaces required)
-        const expressionResult = this.parseExpression([normalizedText]);
-        if (expressionResult && expressionResult.numbers.length > 1) {
-            return {
-                type: 'horizontal',
-                numbers: expressionResult.numbers,
-                result: expressionResult.result,
-                operation: expressionResult.operation,
-                formatted: this.formatResult(expressionResult.result),
-                original: text
-            };
+    // Percentage phrases, both giving a percentage:
+    //   "45 as % of 180"        -> 25%
+    //   "% change 80 to 100"    -> 25% (also "% change from 80 to 100")
+    evaluatePercentPhrase(expression, context, offset) {
+        const ratio = expression.match(/^(.+?)\bas\s*%\s*of\b(.*)$/di);
+        const change = !ratio && expression.match(/^\s*%\s*change\s+(?:from\s+)?(.+?)\s+to\b(.*)$/di);
+        const match = ratio || change;
+        if (!match) {
+            return null;
         }
 
-        // Fallback to space-separated parsing
-        const parts = normalizedText.split(/\s+/);
-        const result = this.parseExpression(parts);
+        const [first, second] = [1, 2].map(group => {
+            const evaluation = this.evaluateExpression(match[group], context, offset + match.indices[group][0]);
+            if (!evaluation) {
+                throw new ExpressionError('Expected a number', offset + match.indices[group][1], true);
+            }
+            return evaluation;
+        });
 
-        if (!result || result.numbers.length <= 1) {
-            return null;
+        const { math } = context;
+        const base = ratio ? second : first;
+        if (math.isZero(base.value)) {
+            throw new ExpressionError('Division by zero', offset + match.indices[ratio ? 2 : 1][0]);
         }
 
+        const value = ratio
+            ? math['/'](first.value, second.value)
+            : math['/'](math['-'](second.value, first.value), first.value);
+        const result = math.toNumber(value);
+        this.trace(context, 'step', 'percentage', () => ratio
+            ? `${this.formatResult(first.value)} ÷ ${this.formatResult(second.value)} = ${this.formatPercent(value, context)}`
+            : `(${this.formatResult(second.value)} - ${this.formatResult(first.value)}) ÷ ${this.formatResult(first.value)} = ${this.formatPercent(value, context)}`);
+        const numbers = [first.result, second.result];
+
         return {
-            type: 'horizontal',
-            numbers: result.numbers,
-            result: result.result,
-            operation: result.operation,
-            formatted: this.formatResult(result.result),
-            original: text
+            numbers: numbers,
+            value: value,
+            result: result,
+            operation: 'percentage',
+            assignment: null,
+            advanced: true,
+            percent: true,
+            ambiguous: [...first.ambiguous, ...second.ambiguous],
+            unsafe: [...numbers, result].some(number => this.isUnsafe(number, context))
         };
     }
 
-    // Parse mathematical expression with operators
-    parseExpression(parts) {
-        // If we have only one part, try to parse it as a mathematical expression
-        if (parts.length === 1) {
-            const mathResult = this.parseMathExpression(parts[0]);
-            if (mathResult) {
-                return mathResult;
-            }
-        }
-
-        // Original logic for space-separated parts
-        const elements = [];
-        let currentNumber = null;
-        let lastOperator = '+'; // Default to addition
+    // Words are labels ("Rent 1450", "10 apples") unless they fill an operand slot on their own:
+    // between operators/parentheses, and either already defined or in a line with operators
+    // "#name" box references follow the same rule, "defined" meaning the box exists
+    resolveNameTokens(tokens, context) {
+        const hasOperator = tokens.some(token => token.type === 'operator');
+        const isDefined = (token) => token.type === 'name'
+            ? this.isKnownName(token.value, context)
+            : !!(context.resolveReference && context.resolveReference(token.value.toLowerCase()));
 
-        for (const part of parts) {
-            const trimmed = part.trim();
-            if (!trimmed) continue;
+        return tokens.filter((token, i) => {
+            if (token.type !== 'name' && token.type !== 'reference') return true;
 
-            // Check for SAP trailing minus format first (before operator detection)
-            if (trimmed.endsWith('-') && trimmed.length > 1) {
-                const numberPart = trimmed.slice(0, -1);
-                if (/^[0-9.,\s$€£¥₹]+$/.test(numberPart)) {
-                    const num = this.parseNumber(trimmed);
-                    if (!isNaN(num)) {
-                        elements.push({ type: 'number', value: num, operator: lastOperator });
-                        lastOperator = '+'; // Reset to default
-                    }
-                    continue; // Skip operator detection for SAP format
-                }
-            }
+            const prev = tokens[i - 1];
+            const next = tokens[i + 1];
+            const opensSlot = !prev || ['operator', 'comma'].includes(prev.type) || (prev.type === 'paren' && prev.value === '(');
+            const closesSlot = !next || ['operator', 'comma'].includes(next.type) || (next.type === 'paren' && next.value === ')');
 
-            // Check if this part contains an operator
-            const operatorMatch = trimmed.match(/^([-+×*÷\/])(.*)$/) || trimmed.match(/^(.+?)([-+×*÷\/])$/);
+            return opensSlot && closesSlot && (hasOperator || isDefined(token));
+        });
+    }
 
-            if (operatorMatch) {
-                // Part contains an operator
-                const [, prefix, suffix] = operatorMatch;
+    // Variables, constants and the names for earlier results ("ans", "total", "prev")
+    isKnownName(name, context) {
+        const key = name.toLowerCase();
+        return context.scope.has(key) || isMathConstant(key) || !!RESULT_NAMES[key];
+    }
 
-                if (prefix && this.isNumber(prefix)) {
-                    // Number before operator (e.g., "5+")
-                    const num = this.parseNumber(prefix);
-                    if (!isNaN(num)) {
-                        elements.push({ type: 'number', value: num, operator: lastOperator });
-                        lastOperator = suffix || '+';
-                    }
-                } else if (suffix && this.isNumber(suffix)) {
-                    // Operator before number (e.g., "+5")
-                    lastOperator = this.normalizeOperator(prefix);
-                    const num = this.parseNumber(suffix);
-                    if (!isNaN(num)) {
-                        elements.push({ type: 'number', value: num, operator: lastOperator });
-                        lastOperator = '+';
-                    }
-                } else {
-                    // Just an operator
-                    lastOperator = this.normalizeOperator(trimmed);
-                }
-            } else if (this.isNumber(trimmed)) {
-                // Just a number
-                const num = this.parseNumber(trimmed);
-                if (!isNaN(num)) {
-                    elements.push({ type: 'number', value: num, operator: lastOperator });
-                    lastOperator = '+'; // Reset to default
-                }
+    // Operand values (numbers and referenced names) in reading order, for summaries
+    getOperandValues(ast, context) {
+        const values = [];
+        this.walkNodes(ast, (node) => {
+            if (node.type === 'number') {
+                values.push(node.value);
+            } else if (node.type === 'name' || node.type === 'reference') {
+                values.push(context.math.toNumber(this.evaluateNode(node, { ...context, trace: null })));
             }
-        }
+        });
+        return values;
+    }
 
-        if (elements.length === 0) {
-            return null;
+    // Visit every node of an AST, operands in reading order
+    walkNodes(node, visit) {
+        visit(node);
+        if (node.type === 'quantity' || node.type === 'convert') {
+            this.walkNodes(node.value, visit);
+        } else if (node.type === 'binary') {
+            this.walkNodes(node.left, visit);
+            this.walkNodes(node.right, visit);
+        } else if (node.type === 'unary') {
+            this.walkNodes(node.operand, visit);
+        } else if (node.type === 'call') {
+            node.args.forEach(arg => this.walkNodes(arg, visit));
         }
+    }
 
-        return this.calculateFromElements(elements);
+    isPercentNode(node) {
+        return node.type === 'number' && node.raw.includes('%');
     }
 
-    // Parse mathematical expression without spaces (e.g., "2+3-1*4")
-    parseMathExpression(expression) {
-        const trimmed = expression.trim();
+    // Whether an expression calls a function, converts units or uses a constant (not shadowed by a variable)
+    usesMathLibrary(ast, context) {
+        let used = false;
+        this.walkNodes(ast, (node) => {
+            used = used || node.type === 'call' || node.type === 'convert'
+                || (node.type === 'name' && !context.scope.has(node.name.toLowerCase())
+                    && (isMathConstant(node.name) || !!RESULT_NAMES[node.name.toLowerCase()]));
+        });
+        return used;
+    }
 
-        // Check if this looks like a mathematical expression
-        if (!/[-+×*÷\/]/.test(trimmed)) {
-            return null; // No operators found
-        }
+    createExpressionResult(type, evaluation, text, context = this.createContext()) {
+        const rounded = context.rounding && !evaluation.radix && !evaluation.percent;
+        return {
+            type: type,
+            numbers: evaluation.numbers,
+            result: rounded ? context.math.toNumber(this.roundValue(evaluation.value, context)) : evaluation.result,
+            operation: evaluation.operation,
+            formatted: evaluation.radix
+                ? this.formatRadix(evaluation.exact, evaluation.radix)
+                : (evaluation.percent ? this.formatPercent(evaluation.value, context) : this.formatValue(evaluation.value, context, { display: evaluation.display })),
+            percent: !!evaluation.percent,
+            note: evaluation.note,
+            warning: this.getPrecisionWarning(evaluation.unsafe) || this.getAmbiguityWarning(evaluation.ambiguous, context.numberFormat),
+            original: text
+        };
+    }
 
-        // Split the expression into numbers and operators
-        const tokens = this.tokenizeMathExpression(trimmed);
-        if (!tokens || tokens.length < 3) {
-            return null; // Need at least number-operator-number
+    // Integers in a base with its prefix: "0xFF", "0b1010", "0o755" (base 10 is grouped as usual)
+    formatRadix(value, radix) {
+        if (radix === 10) {
+            return this.formatResult(value);
         }
+        const digits = (value < 0n ? -value : value).toString(radix).toUpperCase();
+        return `${value < 0n ? '-' : ''}${RADIX_PREFIXES[radix]}${digits}`;
+    }
 
-        // Convert tokens to elements format
-        const elements = [];
-        let currentOperator = '+'; // First number is always positive by default
+    // Display a fraction as a percentage: 0.25 -> "25%"
+    formatPercent(value, context) {
+        const { math } = context;
+        return `${this.formatResult(math['*'](value, math.fromNumber(100)))}%`;
+    }
 
-        for (let i = 0; i < tokens.length; i++) {
-            const token = tokens[i];
+    // Floats lose integer precision past Number.MAX_SAFE_INTEGER; decimals never do
+    isUnsafe(number, context) {
+        return context.math === this.arithmetic.float && Math.abs(number) > CALC_CONFIG.MAX_RESULT_VALUE;
+    }
 
-            if (token.type === 'number') {
-                elements.push({
-                    type: 'number',
-                    value: token.value,
-                    operator: currentOperator
-                });
-                currentOperator = '+'; // Reset for next
-            } else if (token.type === 'operator') {
-                currentOperator = this.normalizeOperator(token.value);
-            }
+    getPrecisionWarning(unsafe) {
+        return unsafe ? 'Beyond float precision (2^53) - add @decimal for an exact result' : undefined;
+    }
+
+    // Numbers read with a guessed decimal ("1.000" as 1, or "2,5" in a box of "1,234.56")
+    // ask for a locale instead of passing silently
+    getAmbiguityWarning(ambiguous = [], format = DOT_DECIMAL) {
+        if (ambiguous.length === 0) return undefined;
+        const raw = ambiguous[0];
+        return `'${raw}' could be ${this.parseNumber(raw, DOT_DECIMAL)} or ${this.parseNumber(raw, COMMA_DECIMAL)} - `
+            + `read as ${this.parseNumber(raw, format)}; add @locale en-US or @locale de-DE to choose`;
+    }
+
+    // A number written against the box's chosen locale ("2,5" with @locale en-US) is an error
+    checkNumberFormat(raw, format, position = 0) {
+        if (format.locale && !fitsFormat(raw, format)) {
+            throw new ExpressionError(`'${raw}' doesn't fit the ${format.locale} number format`, position);
+        }
+    }
+
+    // Convert an ExpressionError (or UnitError) into an error result (null while the user is still typing)
+    createErrorResult(error, text) {
+        if (error instanceof UnitError) {
+            error = new ExpressionError(error.message);
+        }
+        if (!(error instanceof ExpressionError)) {
+            throw error;
         }
 
-        if (elements.length === 0) {
+        if (error.incomplete) {
             return null;
         }
 
-        return this.calculateFromElements(elements);
+        return {
+            type: 'error',
+            error: { message: error.message, position: error.position, circular: !!error.circular },
+            original: text
+        };
+    }
+
+    // Number patterns for a format (see numberLocale.js), cached by decimal separator
+    // Apostrophes and no-break spaces group before three digits; with a decimal comma plain spaces
+    // group too, but only inside a number that has one ("1 234,56" - "10 200" is still 10 + 200)
+    // Inside function arguments a comma separates values unless it groups thousands; with a decimal
+    // comma it is the decimal and arguments are separated by ";" or ", "
+    getNumberPatterns(format = DOT_DECIMAL) {
+        this.numberPatternCache = this.numberPatternCache || new Map();
+        if (!this.numberPatternCache.has(format.decimal)) {
+            const marks = "['’\\u00a0\\u202f](?=[0-9]{3})";
+            const body = format.decimal === ','
+                ? `[0-9](?:[0-9.]|,(?=[0-9])|${marks}| (?=[0-9]{3}(?: [0-9]{3})*,[0-9]))*`
+                : `[0-9](?:[0-9.,]|${marks})*`;
+            // A comma with no digit after it separates arguments: "max(1,5, 2)" is 2
+            const argumentBody = format.decimal === ','
+                ? body
+                : `[0-9](?:[0-9.]|${marks}|,(?=[0-9]{3}(?![0-9])))*`;
+            // Optional currency, exponent ("4.2e6"), scale suffix, percentage or SAP trailing minus ("900-")
+            const number = (digits) => new RegExp(
+                `^[$€£¥₹]?(?:${digits}|\\.[0-9]+)(?:[eE][-+]?[0-9]+(?![A-Za-z_]))?(?:${SCALE_PATTERN})?%?(?:-(?=$|[\\s+×*÷\\/^,;)]))?`
+            );
+
+            this.numberPatternCache.set(format.decimal, {
+                plain: number(body),
+                argument: number(argumentBody),
+                accounting: new RegExp(`^\\(\\s*[$€£¥₹]?${body}\\s*\\)`)
+            });
+        }
+        return this.numberPatternCache.get(format.decimal);
     }
 
-    // Tokenize mathematical expression into numbers and operators
-    tokenizeMathExpression(expression) {
+    // Tokenize mathematical expression into numbers, names, operators and parentheses
+    // Every number format parseNumber supports becomes a single number token
+    // `format` holds the box's separators; numbers it reads with a guessed decimal are marked ambiguous
+    // With `durations` a bare "m" after a number is minutes instead of metres
+    tokenizeMathExpression(expression, offset = 0, format = DOT_DECIMAL, durations = false) {
         const tokens = [];
-        let currentNumber = '';
+        const calls = []; // One entry per open parenthesis: true when it holds function arguments
+        const patterns = this.getNumberPatterns(format);
         let i = 0;
 
         while (i < expression.length) {
             const char = expression[i];
+            const rest = expression.slice(i);
+            const prev = expression[i - 1] || '';
+
+            const lastToken = tokens[tokens.length - 1];
+            const inCall = calls[calls.length - 1] === true;
+
+            // Based integers: "0xFF", "0b1010", "0o755" (exact, the text is the decimal value)
+            const based = /[0-9]/.test(char) && !/[0-9.]/.test(prev) && rest.match(/^0(?:x[0-9a-f]+|b[01]+|o[0-7]+)(?![\p{L}\p{N}_])/iu);
+            if (based) {
+                const raw = based[0];
+                const integer = BigInt(raw);
+                tokens.push({ type: 'number', value: Number(integer), raw, text: integer.toString(), radix: true, start: offset + i, end: offset + i + raw.length });
+                i += raw.length;
+                continue;
+            }
+            const malformed = /[0-9]/.test(char) && !/[0-9.]/.test(prev) && rest.match(/^0[xbo][\p{L}\p{N}_]*/iu);
+            if (malformed) {
+                throw new ExpressionError(`Invalid ${RADIX_NAMES[malformed[0][1].toLowerCase()]} number '${malformed[0]}'`, offset + i);
+            }
 
-            if (/[0-9.,]/.test(char)) {
-                // Part of a number (including commas and decimals)
-                currentNumber += char;
-            } else if (/[-+×*÷\/]/.test(char)) {
-                // Potential operator found
-
-                // Check if this minus is trailing (SAP format like "900-")
-                if (char === '-' && currentNumber && /[0-9]/.test(currentNumber)) {
-                    // Look ahead to see if this is trailing minus or operator
-                    const nextChar = i + 1 < expression.length ? expression[i + 1] : '';
-
-                    if (!nextChar || /\s/.test(nextChar) || /[+×*÷\/]/.test(nextChar)) {
-                        // This appears to be a trailing minus (SAP format)
-                        currentNumber += '-'; // Add to current number for parseNumber to handle
-                    } else {
-                        // Regular operator
-                        if (currentNumber) {
-                            const num = this.parseNumber(currentNumber);
-                            if (!isNaN(num)) {
-                                tokens.push({ type: 'number', value: num });
-                            }
-                            currentNumber = '';
-                        }
-                        tokens.push({ type: 'operator', value: char });
-                    }
-                } else {
-                    // Regular operator handling
-                    if (currentNumber) {
-                        const num = this.parseNumber(currentNumber);
-                        if (!isNaN(num)) {
-                            tokens.push({ type: 'number', value: num });
-                        }
-                        currentNumber = '';
-                    }
+            // Durations: "8:30", "1h 30m" and ranges "09:15-17:40", as seconds in the h:mm unit
+            // (the token value is hours, for summaries)
+            const duration = /[0-9]/.test(char) && !/[0-9.:]/.test(prev) && matchDuration(rest);
+            if (duration) {
+                const raw = rest.slice(0, duration.length);
+                const end = offset + i + raw.length;
+                tokens.push({ type: 'number', value: duration.seconds / 3600, raw, text: String(duration.seconds), range: duration.range, start: offset + i, end });
+                tokens.push({ type: 'unit', value: DURATION_UNIT, raw: '', start: end, end });
+                i += raw.length;
+                continue;
+            }
+
+            // Mixed numbers: "2 1/2" is two and a half, one number (a proper fraction after a whole number)
+            const mixed = /[0-9]/.test(char) && !/[0-9.,]/.test(prev) && rest.match(/^([0-9]+)[ \t]+([0-9]+)\/([0-9]+)(?![\p{N}_.,/])/u);
+            if (mixed && BigInt(mixed[2]) < BigInt(mixed[3])) {
+                const [raw, whole, numerator, denominator] = mixed;
+                const value = Number(whole) + Number(numerator) / Number(denominator);
+                tokens.push({ type: 'number', value, raw, mixed: { whole, numerator, denominator }, start: offset + i, end: offset + i + raw.length });
+                i += raw.length;
+                continue;
+            }
 
-                    // Handle negative numbers (e.g., in "5+-3" or at start like "-5+3")
-                    if (char === '-' && (tokens.length === 0 || tokens[tokens.length - 1].type === 'operator')) {
-                        // This minus is part of a negative number
-                        currentNumber = '-';
-                    } else {
-                        tokens.push({ type: 'operator', value: char });
+            // Accounting parentheses around a plain number: "(200)" or "( $1,200 )"
+            // Directly after a number, ")" or a function name it is a group instead: "2(3)" is 6
+            const accounting = !/[0-9.)]/.test(prev) && !(lastToken && lastToken.type === 'function')
+                && rest.match(patterns.accounting);
+            const number = accounting || rest.match(inCall ? patterns.argument : patterns.plain);
+
+            if (number) {
+                const raw = number[0];
+                const value = this.parseNumber(raw, format);
+                if (!isNaN(value)) {
+                    this.checkNumberFormat(raw, format, offset + i);
+                    const ambiguous = (!!format.guessed && isAmbiguousNumber(raw, format)) || !fitsFormat(raw, format);
+                    tokens.push({ type: 'number', value, raw, ambiguous, start: offset + i, end: offset + i + raw.length });
+
+                    // A currency symbol in the number ("€250", "($90)") becomes its unit
+                    const symbol = raw.match(/[$€£¥₹]/);
+                    if (symbol) {
+                        const position = offset + i + symbol.index;
+                        tokens.push({ type: 'unit', value: this.matchCurrency(symbol[0]).unit, raw: symbol[0], start: position, end: position + 1 });
                     }
                 }
-            } else if (/\s/.test(char)) {
-                // Skip whitespace
-                if (currentNumber) {
-                    const num = this.parseNumber(currentNumber);
-                    if (!isNaN(num)) {
-                        tokens.push({ type: 'number', value: num });
-                    }
-                    currentNumber = '';
+                i += raw.length;
+                continue;
+            }
+
+            // Units after a number or group ("5 km", "(2 + 3) kg") and after "in"/"to"
+            const unitAllowed = lastToken && (['number', 'convert'].includes(lastToken.type) || (lastToken.type === 'paren' && lastToken.value === ')'));
+            let unit = unitAllowed && (matchUnit(rest) || this.matchCurrency(rest));
+            if (unit && durations && rest.slice(0, unit.length) === 'm') {
+                unit = { unit: MINUTE_UNIT, length: 1 };
+            }
+            // "2 in" is inches when the line goes on with an operator, a conversion or nothing
+            // ("6 in in cm", "3 ft + 2 in"), and a conversion when a unit follows ("5 km in miles")
+            if (!unit && unitAllowed && lastToken.type !== 'convert' && /^in(?![\p{L}\p{N}_])/u.test(rest)
+                && /^\s*(?:$|[-+×*÷\/^)]|(?:in|to)\s)/u.test(rest.slice(2))) {
+                unit = { unit: INCH_UNIT, length: 2 };
+            }
+            if (unit) {
+                const raw = rest.slice(0, unit.length);
+                tokens.push({ type: 'unit', value: unit.unit, raw, start: offset + i, end: offset + i + raw.length });
+                i += raw.length;
+                continue;
+            }
+
+            // Conversion: "5 km in miles", "72 °F to °C", "100 USD in EUR"
+            const conversion = lastToken && ['number', 'unit', 'paren'].includes(lastToken.type) && rest.match(/^(?:in|to)\s+/i);
+            const target = conversion && rest.slice(conversion[0].length);
+            if (conversion && (matchUnit(target) || this.matchCurrency(target))) {
+                const raw = conversion[0].trim();
+                tokens.push({ type: 'convert', value: raw, raw, start: offset + i, end: offset + i + raw.length });
+                i += conversion[0].length;
+                continue;
+            }
+
+            // Words: variable names, "#box" references or text labels (see resolveNameTokens)
+            const word = rest.match(/^#?[\p{L}_][\p{L}\p{N}_]*/u);
+            if (word) {
+                const raw = word[0];
+                const reference = raw.startsWith('#');
+                // "20% of 80" multiplies
+                if (raw.toLowerCase() === 'of' && lastToken && lastToken.type === 'number' && lastToken.raw.includes('%')) {
+                    tokens.push({ type: 'operator', value: '*', raw, start: offset + i, end: offset + i + raw.length });
+                    i += raw.length;
+                    continue;
                 }
-            } else {
-                // Skip unknown characters
-                if (currentNumber) {
-                    const num = this.parseNumber(currentNumber);
-                    if (!isNaN(num)) {
-                        tokens.push({ type: 'number', value: num });
-                    }
-                    currentNumber = '';
+                // "0xF0 xor 0xFF" after an operand
+                const afterOperand = lastToken && (['number', 'unit', 'name', 'reference'].includes(lastToken.type) || (lastToken.type === 'paren' && lastToken.value === ')'));
+                if (raw.toLowerCase() === 'xor' && afterOperand) {
+                    tokens.push({ type: 'operator', value: 'xor', raw, start: offset + i, end: offset + i + raw.length });
+                    i += raw.length;
+                    continue;
                 }
+
+                // Known function names directly followed by "(" are calls: "sqrt(16)"
+                const call = !reference && isMathFunction(raw) && /^\s*\(/.test(rest.slice(raw.length));
+                tokens.push({
+                    type: reference ? 'reference' : (call ? 'function' : 'name'),
+                    value: reference ? raw.slice(1) : raw,
+                    raw,
+                    start: offset + i,
+                    end: offset + i + raw.length
+                });
+                i += raw.length;
+                continue;
             }
-            i++;
-        }
 
-        // Handle remaining number
-        if (currentNumber) {
-            const num = this.parseNumber(currentNumber);
-            if (!isNaN(num)) {
-                tokens.push({ type: 'number', value: num });
+            // Shifts "<<" and ">>"; "&" and "|" between letters are text ("R&D")
+            const shift = rest.match(/^(?:<<|>>)/);
+            if (shift) {
+                tokens.push({ type: 'operator', value: shift[0], raw: shift[0], start: offset + i, end: offset + i + 2 });
+                i += 2;
+                continue;
+            }
+            const inWord = /[&|]/.test(char) && /\p{L}/u.test(prev) && /\p{L}/u.test(expression[i + 1] || '');
+
+            if (/[-+×*÷\/^~]/.test(char) || (/[&|]/.test(char) && !inWord)) {
+                tokens.push({ type: 'operator', value: this.normalizeOperator(char), raw: char, start: offset + i, end: offset + i + 1 });
+            } else if (char === '(' || char === ')') {
+                if (char === '(') {
+                    calls.push(!!lastToken && lastToken.type === 'function');
+                } else {
+                    calls.pop();
+                }
+                tokens.push({ type: 'paren', value: char, raw: char, start: offset + i, end: offset + i + 1 });
+            } else if ((char === ',' || char === ';') && inCall) {
+                tokens.push({ type: 'comma', value: char, raw: char, start: offset + i, end: offset + i + 1 });
             }
+            // Whitespace, list commas ("10, 20") and unknown characters are skipped
+
+            i++;
         }
 
         return tokens;
     }
 
-    // Calculate result from parsed elements
-    calculateFromElements(elements) {
-        // Output operation and numbers arrays
-        let operation = 'addition';
-        const numbers = [];
-
-        for (const element of elements) {
-            numbers.push(element.value);
-        }
-
-        // Pass 1: Handle multiplication and division (BODMAS)
-        let stack = [];
-        for (let i = 0; i < elements.length; i++) {
-            const current = { ...elements[i] };
-            
-            if (current.operator === '*' || current.operator === '×') {
-                if (stack.length > 0) {
-                    const prev = stack[stack.length - 1]; // modify in-place
-                    prev.value *= current.value;
-                } else {
-                    current.value = 0; // 0 * x = 0
-                    stack.push(current);
+    // Evaluate an expression AST node with the context's arithmetic backend
+    evaluateNode(node, context = this.createContext()) {
+        const { math } = context;
+
+        switch (node.type) {
+            case 'number': {
+                // Durations carry their value as plain text (seconds); mixed numbers add their parts
+                const { mixed } = node;
+                const value = mixed
+                    ? math['+'](math.fromText(mixed.whole), math['/'](math.fromText(mixed.numerator), math.fromText(mixed.denominator)))
+                    : (node.text !== undefined ? math.fromText(node.text) : math.fromText(node.raw, context.numberFormat));
+                this.trace(context, 'read', 'read', () => this.describeNumber(node, value, context));
+                return value;
+            }
+            case 'name': {
+                // Variables shadow the built-in constants
+                const key = node.name.toLowerCase();
+                if (context.scope.has(key)) {
+                    const value = context.scope.get(key);
+                    this.trace(context, 'read', 'variable', () => `${node.name} = ${this.formatResult(value)}`);
+                    return value;
+                }
+                if (RESULT_NAMES[key]) {
+                    const value = this.resolveResultName(node, context);
+                    this.trace(context, 'read', RESULT_NAMES[key] === 'box' ? 'box' : 'result', () => `${node.name} = ${this.formatResult(value)}`);
+                    return value;
+                }
+                if (isMathConstant(key)) {
+                    const value = math.fromNumber(MATH_CONSTANTS[key]);
+                    this.trace(context, 'read', 'constant', () => `${node.name} = ${this.formatResult(value)}`);
+                    return value;
                 }
-            } else if (current.operator === '/' || current.operator === '÷') {
-                if (current.value !== 0) {
-                    if (stack.length > 0) {
-                        const prev = stack[stack.length - 1];
-                        prev.value /= current.value;
-                    } else {
-                        current.value = 0; // 0 / x = 0
-                        stack.push(current);
+                throw new ExpressionError(`Undefined name '${node.name}'`, node.start);
+            }
+            case 'call': {
+                const value = this.evaluateCall(node, context);
+                this.trace(context, 'step', 'function', () => `${node.name}(…) = ${this.formatResult(value)}`);
+                return value;
+            }
+            case 'quantity': {
+                const value = this.evaluateNode(node.value, context);
+                if (value instanceof Quantity) {
+                    throw new ExpressionError(`Unexpected unit '${node.unit.symbol}'`, node.start);
+                }
+                return new Quantity(value, node.unit);
+            }
+            case 'convert': {
+                const value = this.evaluateNode(node.value, context);
+                if (!(value instanceof Quantity)) {
+                    throw new ExpressionError(`Nothing to convert to ${node.unit.symbol}`, node.start);
+                }
+                let converted;
+                try {
+                    converted = convertQuantity(value, node.unit, math.base);
+                } catch (error) {
+                    throw this.toExpressionError(error, node.start);
+                }
+                this.trace(context, 'step', 'convert', () => `${this.formatResult(value)} → ${this.formatResult(converted)}`);
+                return converted;
+            }
+            case 'reference': {
+                const value = math.fromNumber(this.resolveReference(node, context));
+                this.trace(context, 'read', 'box', () => `#${node.name} = ${this.formatResult(value)}`);
+                return value;
+            }
+            case 'unary': {
+                const value = this.evaluateNode(node.operand, context);
+                if (node.operator === '~') {
+                    if (value instanceof Quantity) {
+                        throw new ExpressionError("'~' needs a plain number", node.start);
                     }
-                } else {
-                    return { numbers: [], result: NaN, operation: 'error' };
+                    const inverted = math.not(value);
+                    this.trace(context, 'step', 'bitwise', () => `~${this.formatResult(value)} = ${this.formatResult(inverted)}`);
+                    return inverted;
                 }
-            } else {
-                stack.push(current);
+                if (node.operator !== '-') {
+                    return value;
+                }
+                const negated = math.neg(value);
+                this.trace(context, 'step', 'sign', () => `-(${this.formatResult(value)}) = ${this.formatResult(negated)}`);
+                return negated;
+            }
+            case 'binary': {
+                const left = this.evaluateNode(node.left, context);
+                const right = this.evaluateNode(node.right, context);
+                // "200 + 15%" adds 15% of 200; "15% + 5%" stays a plain sum
+                if ((node.operator === '+' || node.operator === '-') && this.isPercentNode(node.right) && !this.isPercentNode(node.left)) {
+                    const share = math['*'](left, right);
+                    const value = math[node.operator](left, share);
+                    this.trace(context, 'step', 'add/subtract', () => `${this.formatResult(left)} ${node.operator} ${node.right.raw.trim()} of it (${this.formatResult(share)}) = ${this.formatResult(value)}`);
+                    return value;
+                }
+                if (node.operator === '/' && math.isZero(right)) {
+                    throw new ExpressionError('Division by zero', node.start);
+                }
+                if (node.operator === '^' && math.isZero(left) && math.toNumber(right) < 0) {
+                    throw new ExpressionError('Division by zero', node.start);
+                }
+                if (BITWISE_OPERATORS.includes(node.operator) && (left instanceof Quantity || right instanceof Quantity)) {
+                    throw new ExpressionError(`'${node.operator}' needs plain numbers`, node.start);
+                }
+                let value;
+                try {
+                    value = math[node.operator](left, right);
+                } catch (error) {
+                    throw this.toExpressionError(error, node.start);
+                }
+                if (node.operator === '^' && typeof value !== 'bigint' && !Number.isFinite(math.toNumber(value))) {
+                    throw new ExpressionError('Power result is undefined', node.start);
+                }
+                this.trace(context, 'step', OPERATOR_PASSES[node.operator] || 'bitwise',
+                    () => `${this.formatResult(left)} ${OPERATOR_SYMBOLS[node.operator] || node.operator} ${this.formatResult(right)} = ${this.formatResult(value)}`);
+                return value;
             }
+            default:
+                throw new ExpressionError(`Unknown expression '${node.type}'`, node.start || 0);
         }
+    }
 
-        // Pass 2: Handle addition and subtraction
-        let result = 0;
-        for (const element of stack) {
-            if (element.operator === '+' || !element.operator) {
-                result += element.value;
-            } else if (element.operator === '-') {
-                result -= element.value;
-            } else {
-                result += element.value; // Fallback
+    // How a number token was read, for explain(): "900- → -900 (SAP trailing minus, negative)"
+    describeNumber(node, value, context) {
+        const raw = node.raw.trim();
+        const duration = matchDuration(raw);
+        if (duration && duration.length === raw.length) {
+            return `${raw} → ${this.formatDuration(duration.seconds)} (duration)`;
+        }
+
+        const notes = [];
+        const based = raw.match(/^0([xbo])/i);
+        if (based) {
+            notes.push({ x: 'hexadecimal', b: 'binary', o: 'octal' }[based[1].toLowerCase()]);
+        } else {
+            if (/^\(.*\)$/.test(raw)) notes.push('accounting parentheses, negative');
+            if (raw.length > 1 && raw.endsWith('-')) notes.push('SAP trailing minus, negative');
+            if (node.mixed) notes.push('mixed number');
+            if (raw.includes('%')) notes.push('percentage');
+            if (/[0-9][eE][-+]?[0-9]/.test(raw)) notes.push('scientific notation');
+            if (/[0-9]\s?[A-Za-z]+%?-?\)?$/.test(raw)) notes.push('scale suffix');
+            if (/[0-9][.,'’\u00a0\u202f][0-9]/.test(raw)) notes.push(`'${context.numberFormat.decimal}' as decimal separator`);
+        }
+        return `${raw} → ${this.formatResult(value)}${notes.length > 0 ? ` (${notes.join(', ')})` : ''}`;
+    }
+
+    // Unit errors surface as expression errors at the operator
+    toExpressionError(error, position) {
+        return error instanceof UnitError ? new ExpressionError(error.message, position) : error;
+    }
+
+    // Built-in functions take and return floats; results are converted to the active backend
+    // Functions marked keepsUnit work on quantities in the unit of their first one ("pmt(5%, 12, $1000)")
+    evaluateCall(node, context) {
+        const { math } = context;
+        const name = node.name.toLowerCase();
+        const { min, max, fn, keepsUnit, rate } = MATH_FUNCTIONS[name];
+
+        if (node.args.length < min || node.args.length > max) {
+            const expected = min === max ? `${min}` : (max === Infinity ? `at least ${min}` : `${min}-${max}`);
+            throw new ExpressionError(`${name}() takes ${expected} argument${expected === '1' ? '' : 's'}`, node.start);
+        }
+
+        const values = node.args.map(arg => this.evaluateNode(arg, context));
+        const unit = values.find(value => value instanceof Quantity)?.unit || null;
+        if (unit && !keepsUnit) {
+            throw new ExpressionError(`${name}() needs plain numbers`, node.start);
+        }
+
+        const args = values.map(value => {
+            if (!(value instanceof Quantity)) return math.toNumber(value);
+            try {
+                return math.toNumber(convertQuantity(value, unit, math.base));
+            } catch (error) {
+                throw this.toExpressionError(error, node.start);
             }
+        });
+        const result = fn(...args);
+        if (!Number.isFinite(result)) {
+            throw new ExpressionError(`${name}() is undefined for ${args.join(', ')}`, node.start);
         }
 
-        // Determine operation type for display
-        if (elements.length > 1 && elements.every(e => e.operator === '+')) {
-            operation = 'addition';
-        } else if (elements.length > 1 && elements.every(e => e.operator === '-')) {
-            operation = 'subtraction';
-        } else if (elements.length > 1) {
-            operation = 'mixed';
-        } else if (elements.length === 1) {
-            // handle edge case where single element operation could be tracked differently
-            if (elements[0].operator === '-') {
-                operation = 'subtraction';
-            } else {
-                operation = 'addition';
+        return unit && !rate ? new Quantity(math.fromNumber(result), unit) : math.fromNumber(result);
+    }
+
+    // Total of another box for "#name", via the resolver TextManager passes to calculate()
+    resolveReference(node, context) {
+        const resolved = context.resolveReference ? context.resolveReference(node.name.toLowerCase()) : null;
+
+        if (!resolved) {
+            throw new ExpressionError(`Unknown box '#${node.name}'`, node.start);
+        }
+        return this.unwrapResolved(resolved, node);
+    }
+
+    // The value of a resolved box, or its error (circular ones stop the whole box)
+    unwrapResolved(resolved, node) {
+        if (resolved.error) {
+            const error = new ExpressionError(resolved.error, node.start);
+            error.circular = !!resolved.circular;
+            throw error;
+        }
+
+        return resolved.value;
+    }
+
+    // Value of "ans"/"_", "above"/"total" or "prev" (see RESULT_NAMES)
+    resolveResultName(node, context) {
+        const { math, column } = context;
+        switch (RESULT_NAMES[node.name.toLowerCase()]) {
+            case 'box': {
+                const resolved = context.resolvePrevious ? context.resolvePrevious() : null;
+                if (!resolved) {
+                    throw new ExpressionError(`No box above for '${node.name}'`, node.start);
+                }
+                return math.fromNumber(this.unwrapResolved(resolved, node));
             }
+            case 'last':
+                if (!column || column.last === undefined) {
+                    throw new ExpressionError(`No line above for '${node.name}'`, node.start);
+                }
+                return column.last;
+            default:
+                if (!column || column.values.length === 0) {
+                    throw new ExpressionError(`No lines above for '${node.name}'`, node.start);
+                }
+                return column.values.reduce((sum, value) => math['+'](sum, value));
         }
+    }
 
-        return {
-            numbers: numbers,
-            result: result,
-            operation: operation
-        };
+    // A line of just "total" or "above" (not redefined as a variable)
+    isSubtotalLine(line, context) {
+        const name = line.trim().toLowerCase();
+        return RESULT_NAMES[name] === 'subtotal' && !context.scope.has(name);
+    }
+
+    // Describe the operators used in an AST for display
+    getOperationType(ast) {
+        const operators = new Set();
+        this.walkNodes(ast, (node) => {
+            if (node.type === 'binary') {
+                operators.add(node.operator);
+            } else if (node.type === 'call') {
+                operators.add('function');
+            } else if (node.type === 'convert') {
+                operators.add('conversion');
+            }
+        });
+
+        if (operators.size > 1) return 'mixed';
+        if (BITWISE_OPERATORS.some(operator => operators.has(operator))) return 'bitwise';
+        if (operators.has('function')) return 'function';
+        if (operators.has('conversion')) return 'conversion';
+        if (operators.has('^')) return 'power';
+        if (operators.has('-')) return 'subtraction';
+        if (operators.has('*')) return 'multiplication';
+        if (operators.has('/')) return 'division';
+        return 'addition';
     }
 
     // Normalize operator symbols
@@ -523,23 +2137,36 @@ class CalculationEngine {
             case '-': return '-';
             case '*': return '*';
             case '/': return '/';
+            case '^': return '^';
+            case '&': return '&';
+            case '|': return '|';
+            case '~': return '~';
             default: return '+';
         }
     }
 
     // Handle single number input
-    createSingleNumberResult(text) {
-        const number = this.parseNumber(text);
+    createSingleNumberResult(text, context = this.createContext()) {
+        const format = context.numberFormat;
+        const number = this.parseNumber(text, format);
         if (isNaN(number)) {
             return null;
         }
 
+        try {
+            this.checkNumberFormat(text.trim(), format);
+        } catch (error) {
+            return this.createErrorResult(error, text);
+        }
+
+        const ambiguous = (format.guessed && isAmbiguousNumber(text, format)) || !fitsFormat(text, format);
         return {
             type: 'single',
             numbers: [number],
             result: number,
             operation: 'none',
-            formatted: this.formatResult(number),
+            formatted: this.formatValue(number, context),
+            warning: ambiguous ? this.getAmbiguityWarning([text.trim()], format) : undefined,
             original: text
         };
     }
@@ -554,28 +2181,62 @@ class CalculationEngine {
     }
 
     // Robust number parsing with multiple format support
-    parseNumber(str) {
+    // `format` gives the separators (see numberLocale.js); without one commas group and "." is the decimal
+    parseNumber(str, format = null) {
         if (typeof str !== 'string') {
             return NaN;
         }
 
-        // Remove common formatting characters
+        const cleaned = str.trim();
+
+        // Handle percentage
+        if (cleaned.endsWith('%')) {
+            const num = parseFloat(this.normalizeNumberText(cleaned.slice(0, -1), format));
+            return isNaN(num) ? NaN : num / 100;
+        }
+
+        // Parse the cleaned number
+        const number = parseFloat(this.normalizeNumberText(cleaned, format));
+        return isNaN(number) ? NaN : number;
+    }
+
+    // Exact counterpart of parseNumber for the decimal backend
+    parseDecimal(str, format = null) {
+        const cleaned = str.trim();
+        const percent = cleaned.endsWith('%');
+        const decimal = Decimal.parse(this.normalizeNumberText(percent ? cleaned.slice(0, -1) : cleaned, format) || '');
+        if (!decimal) {
+            throw new ExpressionError(`Invalid number '${str}'`);
+        }
+        return percent ? decimal.movePoint(-2) : decimal;
+    }
+
+    // Whole-number counterpart of parseDecimal for programmer lines
+    parseInteger(str, format = null) {
+        const decimal = this.parseDecimal(str, format).normalize();
+        if (decimal.scale > 0) {
+            throw new ExpressionError(`'${str.trim()}' is not a whole number`);
+        }
+        return decimal.coefficient;
+    }
+
+    // Strip formatting (currency, grouping, SAP and accounting negatives) down to plain numeric text
+    normalizeNumberText(str, format = null) {
         let cleaned = str.trim();
 
         // Handle SAP-style trailing minus FIRST (e.g., "900-" becomes "-900")
         if (cleaned.endsWith('-') && cleaned.length > 1) {
             const numberPart = cleaned.slice(0, -1);
             // Make sure the part before the minus is actually a number
-            if (/^[0-9.,\s$€£¥₹]+$/.test(numberPart)) {
+            if (/^[0-9.,\s'’$€£¥₹]+$/.test(numberPart)) {
                 cleaned = '-' + numberPart;
             }
         }
 
-        // Handle percentage
-        if (cleaned.endsWith('%')) {
-            cleaned = cleaned.slice(0, -1);
-            const num = parseFloat(cleaned);
-            return isNaN(num) ? NaN : num / 100;
+        // Drop the format's grouping marks, then make its decimal separator a point
+        if (format) {
+            cleaned = format.groups.reduce((text, group) => text.split(group).join(''), cleaned);
+            cleaned = cleaned.split(format.decimal).join('.');
         }
 
         // Remove currency symbols, commas, and extra whitespace
@@ -586,9 +2247,20 @@ class CalculationEngine {
             cleaned = '-' + cleaned.slice(1, -1);
         }
 
-        // Parse the cleaned number
-        const number = parseFloat(cleaned);
-        return isNaN(number) ? NaN : number;
+        const match = cleaned.match(/^[-+]?(?:[0-9]+\.?[0-9]*|\.[0-9]+)(?:e([-+]?[0-9]+))?/i);
+        if (!match) {
+            return null;
+        }
+
+        // A scale suffix after the number shifts its exponent: "1.5k" -> "1.5e3"
+        // Letters must touch the number ("5 K" is kelvin)
+        const rest = cleaned.slice(match[0].length);
+        const scale = SCALE_SUFFIXES[rest] ?? (rest.length > 1 ? SCALE_SUFFIXES[rest.toLowerCase()] : undefined);
+        if (scale === undefined || (rest.length === 1 && /\s\S$/.test(str.trim()))) {
+            return match[0];
+        }
+        const mantissa = match[1] === undefined ? match[0] : match[0].slice(0, -(match[1].length + 1));
+        return `${mantissa}e${Number(match[1] || 0) + scale}`;
     }
 
     // Check if string represents a valid number
@@ -628,42 +2300,131 @@ class CalculationEngine {
     }
 
     // Format calculation results with proper locale formatting
+    // Accepts floats, exact Decimals (formatted from their digits, no float rounding) or quantities
+    // options.currency is a currency code (true for USD); the locale defaults to the output locale setting
     formatResult(number, options = {}) {
-        if (!isFinite(number)) {
+        if (number instanceof Quantity) {
+            // Currencies format the way their locale writes them: "$1,250.50", "₹12,34,567"
+            if (number.unit.currency) {
+                return this.formatResult(number.value, { ...options, currency: number.unit.symbol });
+            }
+            if (number.unit.duration) {
+                return this.formatDuration(number.value);
+            }
+            return `${this.formatResult(number.value, options)} ${number.unit.symbol}`;
+        }
+
+        // Fractions show as mixed numbers unless a decimal is asked for ("as decimal", money, tables)
+        const fraction = this.getDisplayFraction(number, options);
+        if (fraction) {
+            return this.formatFraction(fraction, options.locale || this.getOutputLocale());
+        }
+        if (number instanceof Fraction) {
+            number = number.toDecimal(CALC_CONFIG.DECIMAL_DIVISION_PRECISION);
+        }
+
+        const isDecimal = number instanceof Decimal;
+        if (!isDecimal && typeof number !== 'bigint' && !isFinite(number)) {
             return 'Error';
         }
 
         const {
             precision = 'auto',
-            locale = 'en-US',
+            fixed = false, // Always show `precision` decimals, for tables
             currency = false,
             percentage = false
         } = options;
+        const code = currency === true ? 'USD' : currency;
+        const locale = options.locale || this.getOutputLocale(code);
 
         let formatOptions = {
-            minimumFractionDigits: 0,
+            minimumFractionDigits: fixed && precision !== 'auto' ? precision : 0,
             maximumFractionDigits: precision === 'auto' ? this.getOptimalPrecision(number) : precision
         };
 
         if (currency) {
             formatOptions.style = 'currency';
-            formatOptions.currency = 'USD';
+            formatOptions.currency = code;
+            // Whole amounts stay whole ("€250"), others show the currency's minor units ("€12.50")
+            if (formatOptions.maximumFractionDigits > 0) {
+                const { maximumFractionDigits } = new Intl.NumberFormat(locale, { style: 'currency', currency: code }).resolvedOptions();
+                formatOptions.minimumFractionDigits = maximumFractionDigits;
+                formatOptions.maximumFractionDigits = maximumFractionDigits;
+            }
         } else if (percentage) {
             formatOptions.style = 'percent';
             formatOptions.minimumFractionDigits = 2;
             formatOptions.maximumFractionDigits = 2;
         }
 
+        // Compact notation shortens large results ("1.2M", "₹1.2Cr" in en-IN); small ones stay exact
+        const magnitude = Math.abs(isDecimal ? number.toNumber() : Number(number));
+        if (this.settings.notation === 'compact' && precision === 'auto' && magnitude >= 1000) {
+            formatOptions.notation = 'compact';
+            formatOptions.minimumFractionDigits = 0;
+            formatOptions.maximumFractionDigits = 1;
+        }
+
         try {
-            return new Intl.NumberFormat(locale, formatOptions).format(number);
+            return new Intl.NumberFormat(locale, formatOptions).format(isDecimal ? number.toString() : number);
         } catch (error) {
             // Fallback formatting
-            return number.toFixed(this.getOptimalPrecision(number));
+            return isDecimal ? number.toString() : number.toFixed(this.getOptimalPrecision(number));
+        }
+    }
+
+    // The fraction a result is shown as, or null to show a decimal: exact fractions that aren't whole,
+    // and with options.display 'fraction' the closest fraction to any result
+    getDisplayFraction(number, { display, precision = 'auto', currency = false, percentage = false } = {}) {
+        if (display === 'decimal' || currency || percentage || precision !== 'auto') {
+            return null;
+        }
+        if (number instanceof Fraction && number.denominator <= CALC_CONFIG.MAX_FRACTION_DENOMINATOR) {
+            return number.isInteger() ? null : number;
+        }
+        if (display !== 'fraction') {
+            return null;
+        }
+        const value = typeof number === 'number' ? number : Number(number.toString());
+        const fraction = Fraction.approximate(value, Number(CALC_CONFIG.MAX_FRACTION_DENOMINATOR));
+        return fraction && !fraction.isInteger() ? fraction : null;
+    }
+
+    // Mixed number: "1 7/8", "-2 1/3", "3/4"; the whole part is grouped like other results
+    formatFraction(fraction, locale) {
+        const { whole, rest } = fraction.split();
+        const proper = `${rest.numerator < 0n ? -rest.numerator : rest.numerator}/${rest.denominator}`;
+        if (whole === 0n) {
+            return `${fraction.numerator < 0n ? '-' : ''}${proper}`;
         }
+        return `${new Intl.NumberFormat(locale).format(whole)} ${proper}`;
+    }
+
+    // Durations read "7:55 (7.92 h)": clock style, then decimal hours for billing
+    formatDuration(value) {
+        const seconds = value instanceof Decimal || value instanceof Fraction ? value.toNumber() : value;
+        const { negative, hours, minutes, seconds: rest } = splitDuration(seconds);
+        const pad = (part) => String(part).padStart(2, '0');
+        const clock = `${negative ? '-' : ''}${hours}:${pad(minutes)}${rest ? `:${pad(rest)}` : ''}`;
+        return `${clock} (${this.formatResult(seconds / 3600, { precision: 2 })} h)`;
+    }
+
+    // Locale results are written in: the output locale setting, or with "auto" the currency's
+    // home locale ("₹" groups in lakh and crore) and en-US for everything else
+    getOutputLocale(currency = null) {
+        const locale = this.settings.outputLocale;
+        if (locale && locale !== 'auto') {
+            return locale;
+        }
+        return (currency && CALC_CONFIG.CURRENCY_LOCALES[currency]) || 'en-US';
     }
 
     // Determine optimal decimal precision for display
     getOptimalPrecision(number) {
+        if (number instanceof Decimal) {
+            return Math.min(number.normalize().scale, 6);
+        }
+
         if (Number.isInteger(number)) {
             return 0;
         }
@@ -726,14 +2487,33 @@ class CalculationEngine {
             summary += ' (row)';
         }
 
+        // Lines left out of a column total: "2 lines skipped (1 ignored, 1 error)"
+        if (calculation.skipped) {
+            const { ignored, errors } = calculation.skipped;
+            const parts = [];
+            if (ignored) parts.push(`${ignored} ignored`);
+            if (errors) parts.push(`${errors} error${errors === 1 ? '' : 's'}`);
+            const total = ignored + errors;
+            summary += `\n${total} line${total === 1 ? '' : 's'} skipped (${parts.join(', ')})`;
+        }
+
         return summary;
     }
 
-    // Advanced operations for future features
-    calculateAdvanced(expression) {
-        // Placeholder for future advanced calculations
-        // Could include functions like SUM, AVERAGE, etc.
-        return null;
+    // Expressions using the math library ("sqrt(16)", "pi") show a result even with a single number
+    calculateAdvanced(expression, context = this.createContext()) {
+        const traced = context.trace ? context.trace.length : 0;
+        try {
+            const evaluation = this.evaluateExpression(expression, context);
+            if (!evaluation || !evaluation.advanced) {
+                if (context.trace) context.trace.length = traced;
+                return null;
+            }
+
+            return this.createExpressionResult('advanced', evaluation, expression, context);
+        } catch (error) {
+            return this.createErrorResult(error, expression);
+        }
     }
 
     // Statistics calculations
@@ -748,6 +2528,10 @@ class CalculationEngine {
         const median = sortedNumbers.length % 2 === 0
             ? (sortedNumbers[sortedNumbers.length / 2 - 1] + sortedNumbers[sortedNumbers.length / 2]) / 2
             : sortedNumbers[Math.floor(sortedNumbers.length / 2)];
+        // Sample standard deviation (0 for a single number)
+        const variance = numbers.length > 1
+            ? numbers.reduce((acc, n) => acc + (n - mean) ** 2, 0) / (numbers.length - 1)
+            : 0;
 
         return {
             count: numbers.length,
@@ -755,7 +2539,15 @@ class CalculationEngine {
             mean: mean,
             median: median,
             min: Math.min(...numbers),
-            max: Math.max(...numbers)
+            max: Math.max(...numbers),
+            stdev: Math.sqrt(variance),
+            // Percentile with linear interpolation between closest ranks (p50 is the median)
+            percentile: (p) => {
+                const rank = (p / 100) * (sortedNumbers.length - 1);
+                const lower = Math.floor(rank);
+                const upper = Math.ceil(rank);
+                return sortedNumbers[lower] + (sortedNumbers[upper] - sortedNumbers[lower]) * (rank - lower);
+            }
         };
     }
 
@@ -0,0 +1,62 @@
+// Dependency Graph
+// Tracks which boxes reference which "#name" (or the box above with "prev") so edits recalculate their dependents
+
+class DependencyGraph {
+    constructor() {
+        this.nodes = new Map(); // id -> { name, references: Set, previous }
+    }
+
+    // Record a box's own name, the names it references and whether it uses "prev"
+    update(id, { name, references, previous = false }) {
+        this.nodes.set(id, { name, references: new Set(references), previous });
+    }
+
+    remove(id) {
+        this.nodes.delete(id);
+    }
+
+    getName(id) {
+        const node = this.nodes.get(id);
+        return node ? node.name : null;
+    }
+
+    // First box carrying a name (names are unique in practice; the oldest box wins)
+    findByName(name) {
+        for (const [id, node] of this.nodes) {
+            if (node.name === name) return id;
+        }
+        return null;
+    }
+
+    // Boxes using "prev", whichever box is above them
+    getPreviousUsers() {
+        return [...this.nodes].filter(([, node]) => node.previous).map(([id]) => id);
+    }
+
+    // Every box that depends on one of the names, directly or through other boxes
+    // With `ids` and `findAbove(id)` (the box above on the canvas), boxes using "prev"
+    // right below one of the ids count as well
+    // Returned in breadth-first order; cycles are visited once
+    getDependents(names, ids = [], findAbove = null) {
+        const dependents = [];
+        const seen = new Set();
+        const queue = [...names.filter(Boolean).map(name => ({ name })), ...ids.map(id => ({ id }))];
+
+        while (queue.length > 0) {
+            const changed = queue.shift();
+
+            this.nodes.forEach((node, id) => {
+                if (seen.has(id)) return;
+                const below = findAbove && changed.id !== undefined && node.previous && findAbove(id) === changed.id;
+                if (!below && !(changed.name && node.references.has(changed.name))) return;
+                seen.add(id);
+                dependents.push(id);
+                queue.push({ name: node.name, id });
+            });
+        }
+
+        return dependents;
+    }
+}
+
+export default DependencyGraph;
@@ -0,0 +1,262 @@
+// Expression Parser
+// Turns calculator tokens into an AST (precedence, unary minus, implicit operators)
+
+// Structured error raised while parsing or evaluating an expression
+export class ExpressionError extends Error {
+    constructor(message, position = 0, incomplete = false) {
+        super(message);
+        this.name = 'ExpressionError';
+        this.position = position;
+        this.incomplete = incomplete; // Input ended early (e.g. "5 +"), user is still typing
+    }
+}
+
+class ExpressionParser {
+    // Parse tokens from CalculationEngine.tokenizeMathExpression into an AST
+    parse(tokens) {
+        this.tokens = tokens;
+        this.index = 0;
+
+        if (tokens.length === 0) {
+            return null;
+        }
+
+        let ast = this.parseBitwiseOr();
+
+        // conversion := bitwise-or ('in' | 'to') unit
+        const conversion = this.peek();
+        if (conversion && conversion.type === 'convert') {
+            this.index++;
+            const unit = this.peek();
+            if (!unit || unit.type !== 'unit') {
+                throw new ExpressionError('Expected a unit', this.endPosition(), true);
+            }
+            this.index++;
+            ast = { type: 'convert', value: ast, unit: unit.value, start: conversion.start };
+        }
+
+        if (this.index < tokens.length) {
+            const token = this.peek();
+            throw new ExpressionError(`Unexpected '${token.raw}'`, token.start);
+        }
+
+        return ast;
+    }
+
+    // Bitwise operators bind looser than arithmetic, loosest first: '|', 'xor', '&', then shifts
+    // bitwise-or := bitwise-xor ('|' bitwise-xor)*
+    parseBitwiseOr() {
+        return this.parseBinaryLevel(['|'], () => this.parseBitwiseXor());
+    }
+
+    // bitwise-xor := bitwise-and ('xor' bitwise-and)*
+    parseBitwiseXor() {
+        return this.parseBinaryLevel(['xor'], () => this.parseBitwiseAnd());
+    }
+
+    // bitwise-and := shift ('&' shift)*
+    parseBitwiseAnd() {
+        return this.parseBinaryLevel(['&'], () => this.parseShift());
+    }
+
+    // shift := additive (('<<' | '>>') additive)*
+    parseShift() {
+        return this.parseBinaryLevel(['<<', '>>'], () => this.parseAdditive());
+    }
+
+    // Left-associative chain of one precedence level
+    parseBinaryLevel(operators, parseOperand) {
+        let left = parseOperand();
+
+        while (this.isOperator(this.peek(), ...operators)) {
+            const token = this.peek();
+            this.index++;
+            left = this.binary(token.value, left, parseOperand(), token);
+        }
+
+        return left;
+    }
+
+    // additive := term (('+' | '-') term | term)*
+    // Juxtaposed operands add up, so "10 20 30" is 60
+    parseAdditive() {
+        let left = this.parseTerm();
+
+        while (this.index < this.tokens.length) {
+            const token = this.peek();
+
+            if (this.isOperator(token, '+', '-')) {
+                this.index++;
+                left = this.binary(token.value, left, this.parseTerm(), token);
+            } else if (this.startsOperand(token)) {
+                left = this.binary('+', left, this.parseTerm(), token, true);
+            } else {
+                break;
+            }
+        }
+
+        return left;
+    }
+
+    // term := unary (('*' | '/') unary | implicit-multiply unary)*
+    // Implicit multiplication applies around groups: "2(3+4)", "(1+2)(3+4)", "(1+2) 3"
+    parseTerm() {
+        let left = this.parseUnary();
+
+        while (this.index < this.tokens.length) {
+            const token = this.peek();
+
+            if (this.isOperator(token, '*', '/')) {
+                const fraction = this.isWrittenFraction(token) && this.isLiteral(left);
+                this.index++;
+                const right = this.parseUnary();
+                if (fraction) {
+                    // A unit after a written fraction covers all of it: "1/2 km" is half a km, not 1 per 2 km
+                    left = { type: 'quantity', value: this.binary('/', left, right.value, token), unit: right.unit, start: right.start };
+                } else {
+                    left = this.binary(token.value, left, right, token);
+                }
+            } else if (this.isParen(token, '(') || (token.type === 'number' && this.isParen(this.tokens[this.index - 1], ')'))) {
+                left = this.binary('*', left, this.parseUnary(), token, true);
+            } else {
+                break;
+            }
+        }
+
+        return left;
+    }
+
+    // "1/2 km": a slash with no spaces between two numbers, the second followed by a unit without an exponent
+    // ("10 / 2 h" keeps its spaces and stays a rate per hour)
+    isWrittenFraction(slash) {
+        const [before, , after, unit, power] = this.tokens.slice(this.index - 1, this.index + 4);
+        return slash.value === '/' && before?.type === 'number' && after?.type === 'number' && unit?.type === 'unit'
+            && before.end === slash.start && slash.end === after.start && !this.isOperator(power, '^');
+    }
+
+    // Plain numbers combined by operators, with no names, calls or units inside
+    isLiteral(node) {
+        switch (node.type) {
+            case 'number': return true;
+            case 'unary': return this.isLiteral(node.operand);
+            case 'binary': return this.isLiteral(node.left) && this.isLiteral(node.right);
+            default: return false;
+        }
+    }
+
+    // unary := ('-' | '+' | '~') unary | power
+    parseUnary() {
+        const token = this.peek();
+
+        if (this.isOperator(token, '+', '-', '~')) {
+            this.index++;
+            return { type: 'unary', operator: token.value, operand: this.parseUnary(), start: token.start };
+        }
+
+        return this.parsePower();
+    }
+
+    // power := primary unit? ('^' unary)?
+    // Right-associative and tighter than unary minus: "2^3^2" is 512, "-2^2" is -4
+    parsePower() {
+        let base = this.parsePrimary();
+        let token = this.peek();
+
+        if (token && token.type === 'unit') {
+            this.index++;
+            base = { type: 'quantity', value: base, unit: token.value, start: token.start };
+            token = this.peek();
+        }
+
+        if (this.isOperator(token, '^')) {
+            this.index++;
+            return this.binary('^', base, this.parseUnary(), token);
+        }
+
+        return base;
+    }
+
+    // primary := number | name | '#' name | function '(' arguments ')' | '(' bitwise-or ')'
+    parsePrimary() {
+        const token = this.peek();
+
+        if (!token) {
+            throw new ExpressionError('Expected a number', this.endPosition(), true);
+        }
+
+        if (token.type === 'number') {
+            this.index++;
+            return { type: 'number', value: token.value, raw: token.raw, text: token.text, mixed: token.mixed, start: token.start, end: token.end };
+        }
+
+        if (token.type === 'name' || token.type === 'reference') {
+            this.index++;
+            return { type: token.type, name: token.value, start: token.start, end: token.end };
+        }
+
+        if (token.type === 'function') {
+            this.index += 2; // Name and "(" (the tokenizer only emits functions followed by one)
+            return { type: 'call', name: token.value, args: this.parseArguments(), start: token.start };
+        }
+
+        if (this.isParen(token, '(')) {
+            this.index++;
+            const expression = this.parseBitwiseOr();
+            this.expectClosingParen();
+            return expression;
+        }
+
+        throw new ExpressionError(`Unexpected '${token.raw}'`, token.start);
+    }
+
+    // arguments := bitwise-or (',' bitwise-or)* ')'
+    parseArguments() {
+        const args = [this.parseBitwiseOr()];
+
+        while (this.peek() && this.peek().type === 'comma') {
+            this.index++;
+            args.push(this.parseBitwiseOr());
+        }
+
+        this.expectClosingParen();
+        return args;
+    }
+
+    expectClosingParen() {
+        const closing = this.peek();
+        if (!closing) {
+            throw new ExpressionError("Missing ')'", this.endPosition(), true);
+        }
+        if (!this.isParen(closing, ')')) {
+            throw new ExpressionError(`Unexpected '${closing.raw}'`, closing.start);
+        }
+        this.index++;
+    }
+
+    binary(operator, left, right, token, implicit = false) {
+        return { type: 'binary', operator, left, right, implicit, start: token.start };
+    }
+
+    startsOperand(token) {
+        return ['number', 'name', 'reference', 'function'].includes(token.type) || this.isParen(token, '(');
+    }
+
+    isOperator(token, ...operators) {
+        return !!token && token.type === 'operator' && operators.includes(token.value);
+    }
+
+    isParen(token, paren) {
+        return !!token && token.type === 'paren' && token.value === paren;
+    }
+
+    peek() {
+        return this.tokens[this.index];
+    }
+
+    endPosition() {
+        const last = this.tokens[this.tokens.length - 1];
+        return last ? last.end : 0;
+    }
+}
+
+export default ExpressionParser;
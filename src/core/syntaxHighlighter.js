@@ -1,9 +1,34 @@
 // Simple Syntax Highlighter
-// Highlights #hashtags and "quoted comments" only
+// Highlights #hashtags, "quoted comments", @pragmas and function names only
+// Column lines left out of the total (ignored or errors) are marked, with the reason on hover
+
+import { MATH_FUNCTIONS } from '../utils/mathFunctions.js';
+
+// Built-in function names directly followed by "(" (e.g. "sqrt(")
+const FUNCTION_PATTERN = new RegExp(`\\b(${Object.keys(MATH_FUNCTIONS).join('|')})(?=\\s*\\()`, 'gi');
 
 class SyntaxHighlighter {
     constructor() {
         this.overlays = new Map();
+        this.diagnostics = new Map(); // id -> line classifications of the box's last calculation
+    }
+
+    // Line classifications from the calculator ({ line, kind, reason }); null clears them
+    setDiagnostics(id, lines) {
+        this.diagnostics.set(id, lines || []);
+    }
+
+    // Reason a marked line was left out, for the line under a screen point, or null
+    getReasonAt(id, x, y) {
+        const data = this.overlays.get(id);
+        if (!data) return null;
+
+        const marked = data.overlay.querySelectorAll('[data-reason]');
+        for (const mark of marked) {
+            const hit = [...mark.getClientRects()].some(rect => x >= rect.left && x <= rect.right && y >= rect.top && y <= rect.bottom);
+            if (hit) return mark.dataset.reason;
+        }
+        return null;
     }
 
     // Attach overlay to an input
@@ -54,11 +79,11 @@ class SyntaxHighlighter {
         overlay.scrollLeft = input.scrollLeft;
 
         // Render highlighted content
-        overlay.innerHTML = this.highlight(input.value);
+        overlay.innerHTML = this.highlight(input.value, this.diagnostics.get(id));
     }
 
     // Highlight #hashtags and "quoted text"
-    highlight(text) {
+    highlight(text, diagnostics = []) {
         if (!text) return '';
 
         // Escape HTML first
@@ -71,12 +96,33 @@ class SyntaxHighlighter {
         html = html.replace(/"([^"]*)"/g, '<span class="syntax-comment">"$1"</span>');
 
         // Highlight accounting numbers (123) - red
-        // Matches (number) with optional spaces and common separators
-        html = html.replace(/(\(\s*[0-9.,]+\s*\))/g, '<span class="syntax-negative">$1</span>');
+        // Matches (number) with optional spaces and common separators, but not groups like "2(3)" or "sqrt(4)"
+        html = html.replace(/(?<![0-9.)\p{L}_])(\(\s*[0-9.,]+\s*\))/gu, '<span class="syntax-negative">$1</span>');
+
+        // Highlight @pragma lines (per-box settings like @decimal) - blue
+        html = html.replace(/^(\s*@\w+(?:\s+[\w.-]+)?)$/gm, '<span class="syntax-pragma">$1</span>');
+
+        // Highlight function calls (sqrt, round, ...) - green
+        html = html.replace(FUNCTION_PATTERN, '<span class="syntax-function">$1</span>');
 
         // Highlight #hashtags - purple (word characters after #)
         html = html.replace(/#(\w*)/g, '<span class="syntax-hashtag">#$1</span>');
 
+        // Mark ignored and error lines - dotted and wavy underlines
+        const marks = new Map(diagnostics
+            .filter(entry => entry.kind === 'ignored' || entry.kind === 'error')
+            .map(entry => [entry.line, entry]));
+        if (marks.size > 0) {
+            html = html.split('\n').map((line, index) => {
+                const mark = marks.get(index);
+                // Lines inside a comment spanning several lines stay unmarked
+                const balanced = line.split('<span').length === line.split('</span>').length;
+                if (!mark || !line.trim() || !balanced) return line;
+                const reason = mark.reason.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+                return `<span class="syntax-${mark.kind}" data-reason="${reason}">${line}</span>`;
+            }).join('\n');
+        }
+
         // Preserve newlines
         html = html.replace(/\n/g, '<br>');
 
@@ -90,6 +136,7 @@ class SyntaxHighlighter {
             data.overlay.parentNode.removeChild(data.overlay);
         }
         this.overlays.delete(id);
+        this.diagnostics.delete(id);
     }
 
     // Cleanup all
@@ -1,6 +1,9 @@
 // Text Management System
 // Handles text inputs, auto-calculation, and real-time updates
 
+import DependencyGraph from './dependencyGraph.js';
+import { TEXT_CONFIG } from '../utils/constants.js';
+
 class TextManager {
     constructor(canvas, calculator, syntaxHighlighter) {
         this.canvas = canvas;
@@ -10,6 +13,9 @@ class TextManager {
         this.textElements = new Map();
         this.elementIdCounter = 0;
 
+        // Cross-box "#name" references
+        this.dependencyGraph = new DependencyGraph();
+
         // Input element pool for performance
         this.inputPool = [];
         this.maxPoolSize = 50;
@@ -76,7 +82,8 @@ class TextManager {
             worldX: worldX,
             worldY: worldY,
             calculation: null,
-            resultElement: null
+            resultElement: null,
+            running: false // Running totals on every line (Alt+Shift+R)
         };
 
         this.textElements.set(id, element);
@@ -201,7 +208,8 @@ class TextManager {
                 isDraggingBox = false;
                 input.releasePointerCapture(e.pointerId);
                 input.style.cursor = '';
-                
+
+                this.recalculatePreviousUsers(); // The box above may have changed for "prev"
                 if (window.canvasApp) window.canvasApp.markDirty(); // Trigger auto-save
             }
         });
@@ -258,6 +266,12 @@ class TextManager {
             }, 50);
         });
 
+        // Hovering a marked line explains why it isn't in the total
+        input.addEventListener('mousemove', (e) => {
+            const reason = this.syntaxHighlighter ? this.syntaxHighlighter.getReasonAt(id, e.clientX, e.clientY) : null;
+            input.title = reason || '';
+        });
+
         // Keyboard shortcuts
         input.addEventListener('keydown', (e) => {
             if (e.key === 'Escape') {
@@ -266,6 +280,10 @@ class TextManager {
                 // Ctrl+Enter (or Cmd+Enter on Mac) creates a new input box
                 e.preventDefault();
                 this.createAdjacentInput(worldX, worldY + 60);
+            } else if (e.code === 'KeyR' && e.altKey && e.shiftKey) {
+                // Alt+Shift+R toggles running totals for this box
+                e.preventDefault();
+                this.toggleRunningTotals(id);
             } else if (e.key === '/' && (e.ctrlKey || e.metaKey)) {
                 // Ctrl+/ or Cmd+/ toggles comment on current line
                 e.preventDefault();
@@ -291,29 +309,153 @@ class TextManager {
         const element = this.textElements.get(id);
         if (!element) return;
 
-        const text = element.input.value || '';
-        const calculation = this.calculator.calculate(text);
+        // Update this box's links, then recalculate it and every box that references it
+        // (under its old or new name) or reads it through "prev"
+        const previousName = this.dependencyGraph.getName(id);
+        this.dependencyGraph.update(id, this.calculator.getBoxLinks(element.input.value));
+        const name = this.dependencyGraph.getName(id);
+
+        const dependents = this.dependencyGraph.getDependents([previousName, name], [id], (other) => this.findBoxAbove(other));
+        this.recalculate([id, ...dependents.filter(other => other !== id)]);
+    }
+
+    // After boxes moved or disappeared: every box using "prev" and the boxes depending on them
+    recalculatePreviousUsers() {
+        const users = this.dependencyGraph.getPreviousUsers().filter(id => this.textElements.has(id));
+        if (users.length === 0) return;
+
+        const names = users.map(id => this.dependencyGraph.getName(id));
+        const dependents = this.dependencyGraph.getDependents(names, users, (other) => this.findBoxAbove(other));
+        this.recalculate([...users, ...dependents.filter(id => !users.includes(id))]);
+    }
+
+    // Nearest box above this one on the canvas that overlaps it horizontally, for "prev"
+    // Empty boxes are passed over
+    findBoxAbove(id) {
+        const element = this.textElements.get(id);
+        if (!element) return null;
+
+        const zoom = this.canvas.viewport.zoom;
+        const width = (box) => (box.input.offsetWidth || 120) / zoom;
+        let aboveId = null;
+        let above = null;
+        this.textElements.forEach((other, otherId) => {
+            if (otherId === id || other.worldY >= element.worldY || !(other.input.value || '').trim()) return;
+            if (other.worldX >= element.worldX + width(element) || element.worldX >= other.worldX + width(other)) return;
+            if (!above || other.worldY > above.worldY) {
+                aboveId = otherId;
+                above = other;
+            }
+        });
+        return aboveId;
+    }
+
+    // Show or hide the total so far on every line of a column
+    toggleRunningTotals(id) {
+        const element = this.textElements.get(id);
+        if (!element) return;
+
+        element.running = !element.running;
+        this.recalculate([id]);
+    }
+
+    // Calculate boxes together so references see fresh totals, then display them
+    recalculate(ids) {
+        const calculations = this.evaluateBoxes(ids);
+        ids.forEach(id => this.renderCalculation(id, calculations.get(id)));
+    }
+
+    // Evaluate boxes, resolving "#name" references and "prev" on demand
+    // Boxes already on the evaluation stack form a cycle and resolve to an error
+    evaluateBoxes(ids) {
+        const calculations = new Map();
+
+        const evaluate = (id, stack) => {
+            if (!calculations.has(id)) {
+                const element = this.textElements.get(id);
+                const text = element ? element.input.value || '' : '';
+                calculations.set(id, this.calculator.calculate(text, {
+                    settings: { running: !!(element && element.running) },
+                    resolveReference: (name) => resolve(name, [...stack, id]),
+                    resolvePrevious: () => {
+                        const aboveId = this.findBoxAbove(id);
+                        return aboveId === null ? null : resolveBox(aboveId, 'prev', [...stack, id]);
+                    }
+                }));
+            }
+            return calculations.get(id);
+        };
+
+        const resolve = (name, stack) => {
+            const targetId = this.dependencyGraph.findByName(name);
+            if (targetId === null || !this.textElements.has(targetId)) {
+                return null;
+            }
+            return resolveBox(targetId, `#${name}`, stack);
+        };
+
+        // `label` is how the box was referred to: "#name" or "prev"
+        const resolveBox = (targetId, label, stack) => {
+            if (stack.includes(targetId)) {
+                const cycle = stack.slice(stack.indexOf(targetId)).map(id => {
+                    const name = this.dependencyGraph.getName(id);
+                    return name ? `#${name}` : 'unnamed box';
+                });
+                return { error: `Circular reference ${[...cycle, label].join(' → ')}`, circular: true };
+            }
+
+            const calculation = evaluate(targetId, stack);
+            if (calculation && calculation.type === 'error') {
+                return { error: calculation.error.message, circular: !!calculation.error.circular };
+            }
+
+            const total = this.calculator.getBoxTotal(calculation);
+            return total === null ? { error: `'${label}' has no total` } : { value: total };
+        };
+
+        ids.forEach(id => evaluate(id, []));
+        return calculations;
+    }
+
+    renderCalculation(id, calculation) {
+        const element = this.textElements.get(id);
+        if (!element) return;
 
+        const text = element.input.value || '';
         element.calculation = calculation;
 
         // Always sync syntax highlighting (must happen before any early returns)
+        // with the lines a column total left out
         if (this.syntaxHighlighter) {
+            this.syntaxHighlighter.setDiagnostics(id, calculation && calculation.lines);
             this.syntaxHighlighter.sync(id);
         }
 
+        // A schedule only stays while the box still asks for one
+        if (!calculation || calculation.type !== 'amortization') {
+            this.clearSchedule(element);
+        }
+
         // Clear inline results first if text is empty or no calculation
         if (!text.trim() || !calculation) {
             this.clearInlineResults(element);
             this.hideResult(element);
+            this.closeExplanation(element);
             return;
         }
 
         if (calculation) {
             if (calculation.type === 'timezone') {
                 this.displayTimezoneResults(element, calculation);
+            } else if (calculation.type === 'amortization') {
+                this.clearInlineResults(element);
+                this.displaySchedule(element, calculation);
             } else if (calculation.type === 'mixed') {
                 this.displayMixedResults(element, calculation);
-            } else if (calculation.numbers && calculation.numbers.length > 1) {
+            } else if (calculation.type === 'error') {
+                this.clearInlineResults(element);
+                this.displayResult(element, calculation);
+            } else if (['advanced', 'date', 'solve'].includes(calculation.type) || (calculation.numbers && calculation.numbers.length > 1)) {
                 this.displayResult(element, calculation);
             } else {
                 this.hideResult(element);
@@ -322,6 +464,11 @@ class TextManager {
             this.hideResult(element);
         }
 
+        // An open explanation follows the box's edits
+        if (element.explainPanel) {
+            this.showExplanation(element);
+        }
+
         // Mark app as dirty for auto-save
         if (window.canvasApp) {
             window.canvasApp.markDirty();
@@ -339,11 +486,16 @@ class TextManager {
             element.resultElement.className = 'calculation-result';
             element.resultElement.style.position = 'absolute';
             element.resultElement.style.zIndex = '1001';
+            this.addExplainTriggers(element.resultElement, element);
             document.body.appendChild(element.resultElement);
         }
 
-        // Update result content
-        element.resultElement.textContent = `= ${calculation.formatted}`;
+        // Update result content (errors show their message instead of a value)
+        // Results past float precision are marked approximate; solved unknowns show their name ("x = 171.30")
+        const isError = calculation.type === 'error';
+        const prefix = `${calculation.type === 'solve' ? `${calculation.name} ` : ''}${calculation.warning ? '≈' : '='}`;
+        element.resultElement.textContent = isError ? `⚠ ${calculation.error.message}` : `${prefix} ${calculation.formatted}`;
+        element.resultElement.classList.toggle('calculation-error', isError);
         element.resultElement.style.display = 'block';
 
         // Position result below input using canvas coordinate system
@@ -353,11 +505,23 @@ class TextManager {
         element.resultElement.style.left = screenPos.x + 'px';
         element.resultElement.style.top = (screenPos.y + inputHeight + 5) + 'px';
 
-        // Add summary tooltip for complex calculations
-        if (calculation.numbers.length > 2) {
-            const summary = this.calculator.getCalculationSummary(calculation);
-            element.resultElement.title = summary;
-        }
+        // Summary tooltip for complex calculations, followed by any note (e.g. the exchange
+        // rates' date) and warning (precision, ambiguous numbers) on lines of their own
+        const summary = (calculation.numbers && calculation.numbers.length > 2) || calculation.skipped
+            ? this.calculator.getCalculationSummary(calculation)
+            : '';
+        element.resultElement.title = [summary, calculation.note, calculation.warning].filter(Boolean).join('\n');
+    }
+
+    // Re-run calculations for every box (e.g. after a global setting changes)
+    recalculateAll() {
+        const ids = [];
+        this.textElements.forEach((element, id) => {
+            if (element.input.value.trim()) {
+                ids.push(id);
+            }
+        });
+        this.recalculate(ids);
     }
 
     displayMixedResults(element, calculation) {
@@ -367,7 +531,17 @@ class TextManager {
         // Create inline result elements for horizontal calculations
         if (calculation.horizontal && calculation.horizontal.length > 0) {
             calculation.horizontal.forEach(horizCalc => {
-                this.createInlineResult(element, horizCalc.line, horizCalc.result.formatted);
+                if (horizCalc.type === 'error') {
+                    this.createInlineResult(element, horizCalc.line, horizCalc.error.message, true);
+                } else if (horizCalc.type === 'running') {
+                    this.createInlineResult(element, horizCalc.line, horizCalc.result.formatted, false, 'Σ');
+                } else if (horizCalc.type === 'solve') {
+                    this.createInlineResult(element, horizCalc.line, horizCalc.result.formatted, false, `${horizCalc.name} =`);
+                } else {
+                    // Lines with their own result add the running total after it
+                    const running = horizCalc.running ? ` · Σ ${horizCalc.running}` : '';
+                    this.createInlineResult(element, horizCalc.line, horizCalc.result.formatted + running);
+                }
             });
         }
 
@@ -379,7 +553,7 @@ class TextManager {
         }
     }
 
-    createInlineResult(element, lineIndex, resultText) {
+    createInlineResult(element, lineIndex, resultText, isError = false, prefix = '=') {
         const textarea = element.input;
         const lines = textarea.value.split('\n');
 
@@ -387,13 +561,16 @@ class TextManager {
 
         // Create inline result element (similar to main result)
         const inlineResult = document.createElement('div');
-        inlineResult.className = 'inline-calculation-result';
-        inlineResult.textContent = `= ${resultText}`;
+        inlineResult.className = isError ? 'inline-calculation-result inline-calculation-error' : 'inline-calculation-result';
+        inlineResult.textContent = isError ? `⚠ ${resultText}` : `${prefix} ${resultText}`;
         inlineResult.style.position = 'absolute';
         inlineResult.style.zIndex = '1001';
 
         // Store the line index on the element for repositioning
         inlineResult.lineIndex = lineIndex;
+        if (!isError) {
+            this.addExplainTriggers(inlineResult, element);
+        }
 
         // Position it to the right of the textarea for the specific line
         this.positionInlineResult(element, inlineResult, lineIndex);
@@ -479,9 +656,8 @@ class TextManager {
         element.isSpecificTime = calculation.isSpecificTime || false;
         element.sourceTimezone = calculation.sourceTimezone || null;
 
-        const screenPos = this.canvas.worldToScreen(element.worldX, element.worldY);
-        const inputHeight = element.input.offsetHeight || parseInt(element.input.style.height) || 40;
-        let currentY = screenPos.y + inputHeight + 5;
+        const screenPos = this.getResultAnchor(element);
+        let currentY = screenPos.y;
 
         // Add offset indicator if hours are added/subtracted
         if (calculation.hourOffset && calculation.hourOffset !== 0) {
@@ -866,6 +1042,180 @@ class TextManager {
         }
     }
 
+    // Clicking a result explains how it was reached, and so does resting the pointer on it
+    addExplainTriggers(target, element) {
+        let hoverTimer = null;
+        target.addEventListener('click', () => {
+            clearTimeout(hoverTimer);
+            this.toggleExplanation(element);
+        });
+        target.addEventListener('mouseenter', () => {
+            hoverTimer = setTimeout(() => {
+                if (!element.explainPanel) this.showExplanation(element);
+            }, TEXT_CONFIG.EXPLAIN_HOVER_DELAY);
+        });
+        target.addEventListener('mouseleave', () => clearTimeout(hoverTimer));
+    }
+
+    toggleExplanation(element) {
+        if (element.explainPanel) {
+            this.closeExplanation(element);
+        } else {
+            this.showExplanation(element);
+        }
+    }
+
+    // Step-by-step explanation of the box's results below its total: numbers as read,
+    // operations in the order applied, skipped lines and the column total
+    showExplanation(element) {
+        // Other boxes are explained through their last totals
+        const lastTotal = (targetId, label) => {
+            const target = targetId !== null ? this.textElements.get(targetId) : null;
+            if (!target) return null;
+            const total = this.calculator.getBoxTotal(target.calculation);
+            return total === null ? { error: `'${label}' has no total` } : { value: total };
+        };
+        const { steps } = this.calculator.explain(element.input.value || '', {
+            settings: { running: !!element.running },
+            resolveReference: (name) => lastTotal(this.dependencyGraph.findByName(name), `#${name}`),
+            resolvePrevious: () => lastTotal(this.findBoxAbove(element.id), 'prev')
+        });
+
+        const panel = element.explainPanel || document.createElement('div');
+        panel.className = 'explain-panel';
+        panel.style.position = 'absolute';
+        panel.style.zIndex = '1002';
+        panel.replaceChildren();
+
+        const header = document.createElement('div');
+        header.className = 'explain-header';
+        const title = document.createElement('span');
+        title.textContent = 'How this was calculated';
+        const closeButton = document.createElement('button');
+        closeButton.className = 'explain-close';
+        closeButton.textContent = '×';
+        closeButton.title = 'Close';
+        closeButton.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.closeExplanation(element);
+        });
+        header.append(title, closeButton);
+
+        const list = document.createElement('ol');
+        list.className = 'explain-steps';
+        steps.forEach(step => {
+            const item = document.createElement('li');
+            item.className = `explain-${step.kind}`;
+            if (step.kind !== 'line') {
+                const pass = document.createElement('span');
+                pass.className = 'explain-pass';
+                pass.textContent = step.pass;
+                item.appendChild(pass);
+            }
+            item.append(step.text);
+            list.appendChild(item);
+        });
+        if (steps.length === 0) {
+            const item = document.createElement('li');
+            item.textContent = 'Nothing to explain';
+            list.appendChild(item);
+        }
+        panel.append(header, list);
+
+        if (!element.explainPanel) {
+            document.body.appendChild(panel);
+            element.explainPanel = panel;
+        }
+        this.positionExplanation(element);
+    }
+
+    // Below the total when it shows, otherwise right below the box
+    positionExplanation(element) {
+        const anchor = this.getResultAnchor(element);
+        const result = element.resultElement && element.resultElement.style.display !== 'none' ? element.resultElement : null;
+        element.explainPanel.style.left = anchor.x + 'px';
+        element.explainPanel.style.top = (anchor.y + (result ? result.offsetHeight + 5 : 0)) + 'px';
+    }
+
+    closeExplanation(element) {
+        if (element.explainPanel) {
+            element.explainPanel.remove();
+            element.explainPanel = null;
+        }
+    }
+
+    // Scrollable loan schedule below the box ("amortize 250000 at 6.5% for 30y")
+    // with the monthly payment on top and a button copying the table as TSV for spreadsheets
+    displaySchedule(element, calculation) {
+        this.clearSchedule(element);
+        if (element.resultElement) {
+            element.resultElement.style.display = 'none';
+        }
+
+        const panel = document.createElement('div');
+        panel.className = 'calculation-result amortization-schedule';
+        panel.style.position = 'absolute';
+        panel.style.zIndex = '1001';
+
+        const header = document.createElement('div');
+        header.className = 'amortization-header';
+        const summary = document.createElement('span');
+        summary.textContent = `= ${calculation.formatted} · ${calculation.schedule.rows.length} payments`;
+        const copyButton = document.createElement('button');
+        copyButton.className = 'amortization-copy';
+        copyButton.textContent = 'Copy TSV';
+        copyButton.title = 'Copy the schedule as tab-separated values for a spreadsheet';
+        copyButton.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.copySchedule(calculation.tsv, copyButton);
+        });
+        header.append(summary, copyButton);
+
+        const table = document.createElement('table');
+        const addRow = (section, cells, tag) => {
+            const row = section.insertRow();
+            cells.forEach(cell => {
+                const td = document.createElement(tag);
+                td.textContent = cell;
+                row.appendChild(td);
+            });
+        };
+        addRow(table.createTHead(), calculation.schedule.columns, 'th');
+        const body = table.createTBody();
+        calculation.schedule.rows.forEach(cells => addRow(body, cells, 'td'));
+        addRow(table.createTFoot(), calculation.schedule.totals, 'td');
+
+        const scroller = document.createElement('div');
+        scroller.className = 'amortization-table';
+        scroller.appendChild(table);
+        panel.append(header, scroller);
+
+        const anchor = this.getResultAnchor(element);
+        panel.style.left = anchor.x + 'px';
+        panel.style.top = anchor.y + 'px';
+
+        document.body.appendChild(panel);
+        element.schedulePanel = panel;
+    }
+
+    async copySchedule(tsv, button) {
+        try {
+            await navigator.clipboard.writeText(tsv);
+            button.textContent = '✓ Copied';
+        } catch (error) {
+            console.warn('Could not copy the schedule:', error);
+            button.textContent = 'Copy failed';
+        }
+        setTimeout(() => { button.textContent = 'Copy TSV'; }, 1500);
+    }
+
+    clearSchedule(element) {
+        if (element.schedulePanel) {
+            element.schedulePanel.remove();
+            element.schedulePanel = null;
+        }
+    }
+
     hideResult(element) {
         if (element.resultElement) {
             element.resultElement.style.display = 'none';
@@ -874,6 +1224,7 @@ class TextManager {
         this.clearInlineResults(element);
         // Also clear timezone results when hiding
         this.clearTimezoneResults(element);
+        this.clearSchedule(element);
     }
 
     autoResize(textarea) {
@@ -1079,14 +1430,33 @@ class TextManager {
         if (element.timezoneResults && element.timezoneResults.length > 0) {
             this.updateTimezoneResultPositions(element);
         }
+
+        // Update the explanation position
+        if (element.explainPanel) {
+            this.positionExplanation(element);
+        }
+
+        // Update the loan schedule position
+        if (element.schedulePanel) {
+            const anchor = this.getResultAnchor(element);
+            element.schedulePanel.style.left = anchor.x + 'px';
+            element.schedulePanel.style.top = anchor.y + 'px';
+        }
+    }
+
+    // Screen position just below a box, where result panels start
+    getResultAnchor(element) {
+        const screenPos = this.canvas.worldToScreen(element.worldX, element.worldY);
+        // Use the actual rendered height of the input, not its scroll height
+        const inputHeight = element.input.offsetHeight || parseInt(element.input.style.height) || 40;
+        return { x: screenPos.x, y: screenPos.y + inputHeight + 5 };
     }
 
     updateTimezoneResultPositions(element) {
         if (!element.timezoneResults) return;
 
-        const screenPos = this.canvas.worldToScreen(element.worldX, element.worldY);
-        const inputHeight = element.input.offsetHeight || parseInt(element.input.style.height) || 40;
-        let currentY = screenPos.y + inputHeight + 5;
+        const screenPos = this.getResultAnchor(element);
+        let currentY = screenPos.y;
 
         element.timezoneResults.forEach((resultBox) => {
             resultBox.style.left = screenPos.x + 'px';
@@ -1130,6 +1500,10 @@ class TextManager {
         // Clean up timezone results
         this.clearTimezoneResults(element);
 
+        // Clean up the loan schedule and explanation
+        this.clearSchedule(element);
+        this.closeExplanation(element);
+
         // Remove from DOM
         if (element.input.parentNode) {
             element.input.parentNode.removeChild(element.input);
@@ -1153,6 +1527,15 @@ class TextManager {
 
         // Remove from elements map
         this.textElements.delete(id);
+
+        // Boxes referencing this one now show an unknown-box error
+        const name = this.dependencyGraph.getName(id);
+        this.dependencyGraph.remove(id);
+        const dependents = this.dependencyGraph.getDependents([name]);
+        if (dependents.length > 0) {
+            this.recalculate(dependents);
+        }
+        this.recalculatePreviousUsers(); // Boxes below now read the next box up
     }
 
     clearActiveInput() {
@@ -1257,7 +1640,8 @@ class TextManager {
                 // Store CSS properties to preserve scrolling behavior
                 whiteSpace: element.input.style.whiteSpace || 'nowrap',
                 overflowX: element.input.style.overflowX || 'auto',
-                overflowY: element.input.style.overflowY || 'hidden'
+                overflowY: element.input.style.overflowY || 'hidden',
+                running: element.running
             });
         });
         return elements;
@@ -1276,6 +1660,7 @@ class TextManager {
             element.input.style.whiteSpace = elementData.whiteSpace || 'nowrap';
             element.input.style.overflowX = elementData.overflowX || 'auto';
             element.input.style.overflowY = elementData.overflowY || 'hidden';
+            element.running = !!elementData.running;
 
             // Sync syntax highlighter after setting value
             if (this.syntaxHighlighter) {
@@ -8,6 +8,7 @@ import ClipboardManager from './core/clipboardManager.js';
 import SyntaxHighlighter from './core/syntaxHighlighter.js';
 import TextHighlighter from './utils/highlighter.js';
 import StorageManager from './utils/storage.js';
+import CurrencyRates from './utils/currency.js';
 import Minimap from './core/minimap.js';
 
 class MinusPlusApp {
@@ -876,6 +877,156 @@ class MinusPlusApp {
                 this.track('grid_toggle', { style: nextGrid });
             });
         }
+
+        // Arithmetic mode toggle (float, exact decimals or fractions; boxes can override with @decimal / @float / @fraction)
+        const arithmeticToggleBtn = document.getElementById('arithmetic-toggle-btn');
+        if (arithmeticToggleBtn) {
+            const arithmeticLabels = {
+                'float': '≈ Float',
+                'decimal': '✓ Exact',
+                'fraction': '½ Fractions'
+            };
+
+            // Restore saved arithmetic mode
+            const savedArithmetic = localStorage.getItem('minusplus_arithmetic') || 'float';
+            this.calculator.settings.arithmetic = savedArithmetic;
+            arithmeticToggleBtn.textContent = arithmeticLabels[savedArithmetic];
+
+            arithmeticToggleBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+
+                const modes = Object.keys(arithmeticLabels);
+                const nextArithmetic = modes[(modes.indexOf(this.calculator.settings.arithmetic) + 1) % modes.length];
+                this.calculator.settings.arithmetic = nextArithmetic;
+                arithmeticToggleBtn.textContent = arithmeticLabels[nextArithmetic];
+                localStorage.setItem('minusplus_arithmetic', nextArithmetic);
+
+                // Recalculate every box with the new arithmetic
+                this.textManager.recalculateAll();
+                this.track('arithmetic_toggle', { mode: nextArithmetic });
+            });
+        }
+
+        // Number locale (how "1.234,56" reads; boxes can override with @locale de-DE)
+        const localeButton = document.getElementById('number-locale-btn');
+        if (localeButton) {
+            const localeLabels = {
+                'auto': '🔢 Auto',
+                'en-US': '🔢 1,234.5',
+                'de-DE': '🔢 1.234,5'
+            };
+            const locales = Object.keys(localeLabels);
+
+            // Restore saved locale
+            const savedLocale = localStorage.getItem('minusplus_number_locale');
+            this.calculator.settings.numberLocale = locales.includes(savedLocale) ? savedLocale : 'auto';
+            localeButton.textContent = localeLabels[this.calculator.settings.numberLocale];
+
+            localeButton.addEventListener('click', (e) => {
+                e.stopPropagation();
+
+                const current = locales.indexOf(this.calculator.settings.numberLocale);
+                const nextLocale = locales[(current + 1) % locales.length];
+                this.calculator.settings.numberLocale = nextLocale;
+                localeButton.textContent = localeLabels[nextLocale];
+                localStorage.setItem('minusplus_number_locale', nextLocale);
+
+                this.textManager.recalculateAll();
+                this.track('number_locale_toggle', { locale: nextLocale });
+            });
+        }
+
+        // Output locale (how results are written, e.g. lakh/crore grouping with en-IN)
+        const outputLocaleButton = document.getElementById('output-locale-btn');
+        if (outputLocaleButton) {
+            const outputLocales = ['auto', 'en-US', 'en-GB', 'de-DE', 'fr-FR', 'de-CH', 'en-IN'];
+            const outputLabel = (locale) => locale === 'auto'
+                ? '🌐 Auto'
+                : `🌐 ${new Intl.NumberFormat(locale).format(1234567.5)}`;
+
+            // Restore saved locale
+            const savedOutputLocale = localStorage.getItem('minusplus_output_locale');
+            this.calculator.settings.outputLocale = outputLocales.includes(savedOutputLocale) ? savedOutputLocale : 'auto';
+            outputLocaleButton.textContent = outputLabel(this.calculator.settings.outputLocale);
+
+            outputLocaleButton.addEventListener('click', (e) => {
+                e.stopPropagation();
+
+                const current = outputLocales.indexOf(this.calculator.settings.outputLocale);
+                const nextLocale = outputLocales[(current + 1) % outputLocales.length];
+                this.calculator.settings.outputLocale = nextLocale;
+                outputLocaleButton.textContent = outputLabel(nextLocale);
+                localStorage.setItem('minusplus_output_locale', nextLocale);
+
+                this.textManager.recalculateAll();
+                this.track('output_locale_toggle', { locale: nextLocale });
+            });
+        }
+
+        // Compact notation toggle (1,234,567 vs 1.2M)
+        const notationToggleBtn = document.getElementById('notation-toggle-btn');
+        if (notationToggleBtn) {
+            const notationLabels = {
+                'standard': '1,234,567',
+                'compact': '1.2M'
+            };
+
+            // Restore saved notation
+            const savedNotation = localStorage.getItem('minusplus_notation') === 'compact' ? 'compact' : 'standard';
+            this.calculator.settings.notation = savedNotation;
+            notationToggleBtn.textContent = notationLabels[savedNotation];
+
+            notationToggleBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+
+                const nextNotation = this.calculator.settings.notation === 'compact' ? 'standard' : 'compact';
+                this.calculator.settings.notation = nextNotation;
+                notationToggleBtn.textContent = notationLabels[nextNotation];
+                localStorage.setItem('minusplus_notation', nextNotation);
+
+                this.textManager.recalculateAll();
+                this.track('notation_toggle', { notation: nextNotation });
+            });
+        }
+
+        // Currency rate table (edited by the user, stored locally, used for "100 USD in EUR")
+        const ratesButton = document.getElementById('currency-rates-btn');
+        const ratesPanel = document.getElementById('currency-rates-panel');
+        const ratesInput = document.getElementById('currency-rates-input');
+        const ratesDate = document.getElementById('currency-rates-date');
+        if (ratesButton && ratesPanel && ratesInput) {
+            const showRatesDate = (rates) => {
+                ratesDate.textContent = rates.asOf ? `Rates as of ${rates.asOf}` : 'No rates yet';
+            };
+
+            // Restore saved rates
+            try {
+                const savedRates = CurrencyRates.fromJSON(JSON.parse(localStorage.getItem('minusplus_currency_rates')));
+                this.calculator.setCurrencyRates(savedRates);
+                ratesInput.value = savedRates.toText();
+                showRatesDate(savedRates);
+            } catch (error) {
+                console.warn('Could not restore currency rates:', error);
+            }
+
+            ratesButton.addEventListener('click', (e) => {
+                e.stopPropagation();
+                ratesPanel.classList.toggle('hidden');
+                if (!ratesPanel.classList.contains('hidden')) {
+                    ratesInput.focus();
+                }
+            });
+
+            ratesInput.addEventListener('input', this.debounce(() => {
+                const today = new Date().toISOString().slice(0, 10);
+                const rates = CurrencyRates.parse(ratesInput.value, today);
+                this.calculator.setCurrencyRates(rates);
+                localStorage.setItem('minusplus_currency_rates', JSON.stringify(rates));
+                showRatesDate(rates);
+
+                this.textManager.recalculateAll();
+            }, 300));
+        }
     }
 
     setupRecenterButton() {
@@ -1090,7 +1241,8 @@ class MinusPlusApp {
             h: el.height || 40,
             ws: el.whiteSpace || 'nowrap',
             ox: el.overflowX || 'auto',
-            oy: el.overflowY || 'hidden'
+            oy: el.overflowY || 'hidden',
+            r: el.running ? 1 : 0
         }));
 
         try {
@@ -1134,7 +1286,8 @@ class MinusPlusApp {
                 height: el.h || 40,
                 whiteSpace: el.ws || 'nowrap',
                 overflowX: el.ox || 'auto',
-                overflowY: el.oy || 'hidden'
+                overflowY: el.oy || 'hidden',
+                running: !!el.r
             }));
 
             // Reset view and restore shared elements
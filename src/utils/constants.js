@@ -38,6 +38,7 @@ export const TEXT_CONFIG = {
     AUTO_RESIZE_DEBOUNCE: 10,
     CALCULATION_DEBOUNCE: 150,
     BLUR_CLEANUP_DELAY: 5000,
+    EXPLAIN_HOVER_DELAY: 600, // Resting on a result this long opens its explanation
 
     // Font settings
     FONT_FAMILY: '"JetBrains Mono", monospace',
@@ -51,15 +52,37 @@ export const CALC_CONFIG = {
     MAX_DECIMAL_PLACES: 6,
     DEFAULT_PRECISION: 2,
 
+    // Arithmetic: 'float' (fast), 'decimal' (exact, BigInt-backed) or 'fraction' (exact rationals)
+    ARITHMETIC_MODE: 'float',
+    DECIMAL_DIVISION_PRECISION: 20,
+    MAX_FRACTION_DENOMINATOR: 1000000n, // Larger fractions (like sqrt(2) made exact) show as decimals
+    MAX_INTEGER_EXPONENT: 100000n, // Largest power or shift in programmer lines
+    MAX_INTEGER_BITS: 1000000, // Largest result in programmer lines, in binary digits
+
     // Supported number formats
     CURRENCY_SYMBOLS: ['$', '€', '£', '¥', '₹'],
+    CURRENCY_CODES: { '$': 'USD', '€': 'EUR', '£': 'GBP', '¥': 'JPY', '₹': 'INR' },
+    CURRENCY_LOCALES: { USD: 'en-US', EUR: 'de-DE', GBP: 'en-GB', JPY: 'ja-JP', INR: 'en-IN' },
     DECIMAL_SEPARATORS: ['.', ','],
-    THOUSAND_SEPARATORS: [',', ' ', '.'],
+    THOUSAND_SEPARATORS: [',', '.', ' ', "'", '’', '\u00a0', '\u202f'],
+
+    // Number locale: 'auto' (detected per box from its numbers) or a BCP 47 tag such as 'de-DE'
+    NUMBER_LOCALE: 'auto',
+
+    // Output locale for results: 'auto' (en-US, currencies in their home locale) or a tag such as 'en-IN'
+    OUTPUT_LOCALE: 'auto',
+
+    // Result notation: 'standard' (1,234,567) or 'compact' (1.2M)
+    NOTATION: 'standard',
 
     // Calculation limits
     MAX_NUMBERS: 10000,
     MAX_RESULT_VALUE: Number.MAX_SAFE_INTEGER,
-    MIN_RESULT_VALUE: Number.MIN_SAFE_INTEGER
+    MIN_RESULT_VALUE: Number.MIN_SAFE_INTEGER,
+    // Goal seek recalculates the whole box per value tried, so its search is capped
+    GOAL_SEEK_EVALUATIONS: 100,
+    GOAL_SEEK_MILLISECONDS: 150,
+    MAX_AMORTIZATION_MONTHS: 1200 // Longest loan schedule, 100 years of rows
 };
 
 // Highlighting Configuration
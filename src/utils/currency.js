@@ -0,0 +1,49 @@
+// Currency Rates
+// User-maintained exchange rate table (kept offline in localStorage by the app)
+// Rates are relative to any common base: "USD 1", "EUR 0.92" means 1 USD = 0.92 EUR
+
+import { CALC_CONFIG } from './constants.js';
+
+class CurrencyRates {
+    constructor(rates = {}, asOf = null) {
+        this.rates = rates; // code -> units per base unit
+        this.asOf = asOf; // ISO date the user last edited the table
+    }
+
+    // Parse the editor text, one "CODE rate" pair per line; other lines are ignored
+    static parse(text, asOf = null) {
+        const rates = {};
+        (text || '').split('\n').forEach(line => {
+            const match = line.trim().match(/^([A-Za-z]{3})\s*[=:]?\s*([0-9]*\.?[0-9]+)$/);
+            if (match && parseFloat(match[2]) > 0) {
+                rates[match[1].toUpperCase()] = parseFloat(match[2]);
+            }
+        });
+        return new CurrencyRates(rates, asOf);
+    }
+
+    static fromJSON(data) {
+        return data ? new CurrencyRates(data.rates || {}, data.asOf || null) : new CurrencyRates();
+    }
+
+    toJSON() {
+        return { rates: this.rates, asOf: this.asOf };
+    }
+
+    toText() {
+        return Object.entries(this.rates).map(([code, rate]) => `${code} ${rate}`).join('\n');
+    }
+
+    // Base units per one unit of the currency, or null without a rate
+    getFactor(code) {
+        const rate = this.rates[code];
+        return rate ? 1 / rate : null;
+    }
+
+    // Currency codes that are recognised after a number ("100 EUR")
+    isKnown(code) {
+        return Object.hasOwn(this.rates, code) || Object.values(CALC_CONFIG.CURRENCY_CODES).includes(code);
+    }
+}
+
+export default CurrencyRates;
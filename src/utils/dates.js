@@ -0,0 +1,124 @@
+// Dates
+// Calendar dates for date arithmetic ("2026-10-19 + 45 days", "next friday")
+// A date is the UTC midnight timestamp of its day, so daylight saving never shifts it
+
+const DAY = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Date spellings, for matching inside longer expressions
+export const DATE_PATTERN = '\\d{4}[-/]\\d{1,2}[-/]\\d{1,2}|\\d{1,2}[/.]\\d{1,2}[/.]\\d{4}|today|tomorrow|yesterday'
+    + `|(?:next|last|this)\\s+(?:${WEEKDAYS.join('|')})`;
+
+export class DateError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'DateError';
+    }
+}
+
+// Timestamp of a calendar day, or null when it doesn't exist ("2026-02-30")
+export const makeDate = (year, month, day) => {
+    const date = new Date(Date.UTC(year, month - 1, day));
+    date.setUTCFullYear(year); // Date.UTC maps years below 100 to 19xx
+    if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+        return null;
+    }
+    return date.getTime();
+};
+
+// Today in the user's time zone
+export const today = (now = new Date()) => makeDate(now.getFullYear(), now.getMonth() + 1, now.getDate());
+
+// Whether a locale writes the day before the month ("19/10/2026" in en-GB, "10/19/2026" in en-US)
+export const isDayFirst = (locale) => {
+    const parts = new Intl.DateTimeFormat(locale, { timeZone: 'UTC' }).formatToParts(new Date(0));
+    const order = parts.map(part => part.type);
+    return order.indexOf('day') < order.indexOf('month');
+};
+
+// Parse a date: ISO ("2026-10-19"), slashed ("10/19/2026" or "19/10/2026" by `dayFirst`),
+// dotted ("19.10.2026", always day first), today/tomorrow/yesterday and next/last/this weekday
+// Returns { time, ambiguous } (ambiguous: the slashed day and month could swap), or null for other text
+// Throws DateError for dates that don't exist
+export const parseDate = (text, { dayFirst = false, now = new Date() } = {}) => {
+    const spelled = text.trim().toLowerCase();
+    const current = today(now);
+
+    const relative = { today: 0, tomorrow: 1, yesterday: -1 };
+    if (Object.hasOwn(relative, spelled)) {
+        return { time: current + relative[spelled] * DAY, ambiguous: false };
+    }
+
+    const weekday = spelled.match(/^(next|last|this)\s+([a-z]+)$/);
+    if (weekday && WEEKDAYS.includes(weekday[2])) {
+        return { time: shiftToWeekday(current, WEEKDAYS.indexOf(weekday[2]), weekday[1]), ambiguous: false };
+    }
+
+    let year, month, day, ambiguous = false;
+    const iso = spelled.match(/^(\d{4})[-/](\d{1,2})[-/](\d{1,2})$/);
+    const local = spelled.match(/^(\d{1,2})([/.])(\d{1,2})\2(\d{4})$/);
+    if (iso) {
+        [year, month, day] = iso.slice(1).map(Number);
+    } else if (local) {
+        const [a, b] = [Number(local[1]), Number(local[3])];
+        year = Number(local[4]);
+        // Dots and numbers over 12 settle the order; otherwise the locale does
+        const first = local[2] === '.' || a > 12 ? 'day' : (b > 12 ? 'month' : (dayFirst ? 'day' : 'month'));
+        [day, month] = first === 'day' ? [a, b] : [b, a];
+        ambiguous = local[2] === '/' && a <= 12 && b <= 12 && a !== b;
+    } else {
+        return null;
+    }
+
+    const time = makeDate(year, month, day);
+    if (time === null) {
+        throw new DateError(`Invalid date '${text.trim()}'`);
+    }
+    return { time, ambiguous };
+};
+
+// "next friday" is after today, "last friday" before it, "this friday" today or later
+const shiftToWeekday = (time, target, direction) => {
+    const current = new Date(time).getUTCDay();
+    if (direction === 'last') {
+        return time - (((current - target + 7) % 7) || 7) * DAY;
+    }
+    const ahead = (target - current + 7) % 7;
+    return time + (direction === 'next' ? (ahead || 7) : ahead) * DAY;
+};
+
+// Add days, weeks, months or years; months and years keep the day where it exists
+// and fall back to the month's last day otherwise (Jan 31 + 1 month is Feb 28)
+export const addToDate = (time, amount, unit) => {
+    switch (unit) {
+        case 'day':
+            return time + amount * DAY;
+        case 'week':
+            return time + amount * 7 * DAY;
+        case 'month':
+        case 'year': {
+            const date = new Date(time);
+            const months = date.getUTCFullYear() * 12 + date.getUTCMonth() + (unit === 'year' ? amount * 12 : amount);
+            const year = Math.floor(months / 12);
+            const month = months - year * 12 + 1;
+            const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+            return makeDate(year, month, Math.min(date.getUTCDate(), lastDay));
+        }
+        default:
+            throw new DateError(`Unknown date unit '${unit}'`);
+    }
+};
+
+export const daysBetween = (from, to) => Math.round((to - from) / DAY);
+
+// ISO text of a date ("2026-10-19")
+export const toISODate = (time) => new Date(time).toISOString().slice(0, 10);
+
+// Date with its weekday in a locale ("Thu, Dec 3, 2026")
+export const formatDate = (time, locale = 'en-US') => new Intl.DateTimeFormat(locale, {
+    weekday: 'short',
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    timeZone: 'UTC'
+}).format(new Date(time));
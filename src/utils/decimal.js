@@ -0,0 +1,141 @@
+// Exact Decimal Arithmetic
+// Arbitrary-precision decimals stored as a BigInt coefficient scaled by 10^-scale
+
+class Decimal {
+    constructor(coefficient, scale = 0) {
+        this.coefficient = coefficient;
+        this.scale = scale;
+    }
+
+    // Parse plain numeric text ("-1234.56", ".5", "1e-3")
+    static parse(text) {
+        const match = String(text).trim().match(/^([-+]?)([0-9]*)(?:\.([0-9]*))?(?:e([-+]?[0-9]+))?$/i);
+        if (!match || !(match[2] || match[3])) {
+            return null;
+        }
+
+        const [, sign, whole, fraction = '', exponent = '0'] = match;
+        let decimal = new Decimal(BigInt((whole || '0') + fraction), fraction.length);
+        decimal = decimal.movePoint(parseInt(exponent, 10));
+
+        return sign === '-' ? decimal.neg() : decimal;
+    }
+
+    // Convert a float via its shortest round-trip representation
+    static fromNumber(number) {
+        return Decimal.parse(String(number));
+    }
+
+    add(other) {
+        const [a, b, scale] = Decimal.align(this, other);
+        return new Decimal(a + b, scale);
+    }
+
+    sub(other) {
+        const [a, b, scale] = Decimal.align(this, other);
+        return new Decimal(a - b, scale);
+    }
+
+    mul(other) {
+        return new Decimal(this.coefficient * other.coefficient, this.scale + other.scale).normalize();
+    }
+
+    // Division rounds half-up at `precision` fractional digits
+    div(other, precision = 20) {
+        const scale = Math.max(precision, this.scale, other.scale);
+        const numerator = this.coefficient * 10n ** BigInt(scale + other.scale);
+        const denominator = other.coefficient * 10n ** BigInt(this.scale);
+
+        let quotient = numerator / denominator;
+        const remainder = numerator % denominator;
+        const abs = (value) => value < 0n ? -value : value;
+        if (abs(remainder) * 2n >= abs(denominator)) {
+            quotient += (numerator < 0n) === (denominator < 0n) ? 1n : -1n;
+        }
+
+        return new Decimal(quotient, scale).normalize();
+    }
+
+    // Integer powers are exact; negative exponents divide at `precision` digits
+    pow(exponent, precision = 20) {
+        let result = new Decimal(1n);
+        for (let i = 0; i < Math.abs(exponent); i++) {
+            result = result.mul(this);
+        }
+        return exponent < 0 ? new Decimal(1n).div(result, precision) : result;
+    }
+
+    // Round to a multiple of a positive `increment` (0.01 for cents, 0.05 for cash)
+    // 'half-up' rounds halves away from zero, 'half-even' to the even multiple, 'truncate' toward zero
+    round(increment, mode = 'half-up') {
+        const [value, step, scale] = Decimal.align(this, increment);
+        let quotient = value / step;
+        const remainder = value - quotient * step;
+        const twice = (remainder < 0n ? -remainder : remainder) * 2n;
+
+        const away = mode === 'half-even'
+            ? twice > step || (twice === step && quotient % 2n !== 0n)
+            : mode !== 'truncate' && twice >= step;
+        if (away) {
+            quotient += value < 0n ? -1n : 1n;
+        }
+
+        return new Decimal(quotient * step, scale).normalize();
+    }
+
+    neg() {
+        return new Decimal(-this.coefficient, this.scale);
+    }
+
+    isZero() {
+        return this.coefficient === 0n;
+    }
+
+    compare(other) {
+        const [a, b] = Decimal.align(this, other);
+        return a === b ? 0 : (a < b ? -1 : 1);
+    }
+
+    // Shift the decimal point: movePoint(-2) turns 15 into 0.15
+    movePoint(places) {
+        if (places >= 0) {
+            const shift = Math.min(places, this.scale);
+            return new Decimal(this.coefficient * 10n ** BigInt(places - shift), this.scale - shift);
+        }
+        return new Decimal(this.coefficient, this.scale - places);
+    }
+
+    // Drop trailing fractional zeros
+    normalize() {
+        let { coefficient, scale } = this;
+        while (scale > 0 && coefficient % 10n === 0n) {
+            coefficient /= 10n;
+            scale--;
+        }
+        return new Decimal(coefficient, scale);
+    }
+
+    toNumber() {
+        return Number(this.toString());
+    }
+
+    toString() {
+        const negative = this.coefficient < 0n;
+        const digits = (negative ? -this.coefficient : this.coefficient).toString().padStart(this.scale + 1, '0');
+        const whole = digits.slice(0, digits.length - this.scale);
+        const fraction = this.scale > 0 ? '.' + digits.slice(-this.scale) : '';
+        return (negative ? '-' : '') + whole + fraction;
+    }
+
+    // Bring two decimals to a common scale
+    static align(a, b) {
+        const scale = Math.max(a.scale, b.scale);
+        return [
+            a.coefficient * 10n ** BigInt(scale - a.scale),
+            b.coefficient * 10n ** BigInt(scale - b.scale),
+            scale
+        ];
+    }
+}
+
+export default Decimal;
@@ -0,0 +1,59 @@
+// Durations
+// Timesheet-style durations: "8:30", "1:45:30", "1h 30m" and clock ranges "09:15-17:40"
+// Their values are seconds in the "h:mm" unit, which converts like any other time unit
+
+import { findUnit } from './units.js';
+
+export const DURATION_UNIT = {
+    symbol: 'h:mm',
+    factor: 1,
+    dims: { time: 1 },
+    aliases: [],
+    offset: 0,
+    plain: 3600, // A plain number added to a duration counts hours
+    duration: true
+};
+
+const RANGE = /^([01]?\d|2[0-3]):([0-5]\d)\s*[-–]\s*([01]?\d|2[0-3]):([0-5]\d)(?![\d:])/;
+const CLOCK = /^(\d+):([0-5]\d)(?::([0-5]\d))?(?![\d:])/;
+const COMPOUND = /^(\d+)\s*h\s*(\d+)\s*m(?:in)?(?![\p{L}\p{N}_])/iu;
+
+// Duration literal at the start of text, as { seconds, length, range }, or null
+// A range ending before it starts runs past midnight ("22:00-06:00" is 8:00)
+export const matchDuration = (text) => {
+    const range = text.match(RANGE);
+    if (range) {
+        const [startHours, startMinutes, endHours, endMinutes] = range.slice(1).map(Number);
+        const minutes = (endHours * 60 + endMinutes) - (startHours * 60 + startMinutes);
+        return { seconds: (minutes < 0 ? minutes + 24 * 60 : minutes) * 60, length: range[0].length, range: true };
+    }
+
+    const clock = text.match(CLOCK);
+    if (clock) {
+        const [hours, minutes, seconds = 0] = clock.slice(1).map(part => Number(part || 0));
+        return { seconds: hours * 3600 + minutes * 60 + seconds, length: clock[0].length, range: false };
+    }
+
+    const compound = text.match(COMPOUND);
+    if (compound) {
+        return { seconds: Number(compound[1]) * 3600 + Number(compound[2]) * 60, length: compound[0].length, range: false };
+    }
+
+    return null;
+};
+
+// Whether text holds durations, in which case a bare "m" means minutes ("1h 30m + 45m")
+export const hasDurations = (text) => /\d:[0-5]\d|\d\s*h(?![\p{L}])/iu.test(text || '');
+
+export const MINUTE_UNIT = findUnit('min');
+
+// Whole hours, minutes and seconds of a (possibly negative) number of seconds
+export const splitDuration = (value) => {
+    const totalSeconds = Math.round(Math.abs(value));
+    return {
+        negative: value < 0 && totalSeconds > 0,
+        hours: Math.floor(totalSeconds / 3600),
+        minutes: Math.floor(totalSeconds / 60) % 60,
+        seconds: totalSeconds % 60
+    };
+};
@@ -0,0 +1,105 @@
+// Finance Functions
+// Loan, savings and investment math ("pmt(5%/12, 360, 300000)", "irr(-1000, 300, 400, 500)")
+// Rates are per period as fractions (5% is 0.05); payments and balances are positive amounts
+
+// Growth factor over n periods
+const growth = (rate, periods) => Math.pow(1 + rate, periods);
+
+// Payment per period that pays off `presentValue` over n periods, leaving `futureValue`
+export const pmt = (rate, periods, presentValue, futureValue = 0) => {
+    if (rate === 0) return (presentValue - futureValue) / periods;
+    const factor = growth(rate, periods);
+    return (presentValue * factor - futureValue) * rate / (factor - 1);
+};
+
+// Balance after saving `payment` each period on top of a starting `presentValue`
+export const fv = (rate, periods, payment, presentValue = 0) => {
+    if (rate === 0) return presentValue + payment * periods;
+    const factor = growth(rate, periods);
+    return presentValue * factor + payment * (factor - 1) / rate;
+};
+
+// What `payment` each period (plus `futureValue` at the end) is worth today
+export const pv = (rate, periods, payment, futureValue = 0) => {
+    if (rate === 0) return payment * periods + futureValue;
+    const factor = growth(rate, periods);
+    return payment * (1 - 1 / factor) / rate + futureValue / factor;
+};
+
+// Net present value like spreadsheets: the first flow is one period out,
+// so an initial outlay is added separately ("-1000 + npv(10%, 300, 400, 500)")
+export const npv = (rate, ...flows) => flows.reduce((sum, flow, i) => sum + flow / growth(rate, i + 1), 0);
+
+// Internal rate of return of flows starting now; NaN when the flows never change sign
+// Newton's method from 10%, with bisection as the fallback when it doesn't settle
+export const irr = (...flows) => {
+    const value = (rate) => flows.reduce((sum, flow, i) => sum + flow / growth(rate, i), 0);
+    if (!flows.some(flow => flow > 0) || !flows.some(flow => flow < 0)) {
+        return NaN;
+    }
+
+    let rate = 0.1;
+    for (let i = 0; i < 50; i++) {
+        const slope = flows.reduce((sum, flow, t) => sum - t * flow / growth(rate, t + 1), 0);
+        const next = rate - value(rate) / slope;
+        if (!Number.isFinite(next) || next <= -1) break;
+        if (Math.abs(next - rate) < 1e-12) return next;
+        rate = next;
+    }
+
+    let [low, high] = [-0.9999, 10];
+    if (Math.sign(value(low)) === Math.sign(value(high))) {
+        return NaN;
+    }
+    for (let i = 0; i < 200; i++) {
+        const middle = (low + high) / 2;
+        if (Math.sign(value(middle)) === Math.sign(value(low))) {
+            low = middle;
+        } else {
+            high = middle;
+        }
+    }
+    return (low + high) / 2;
+};
+
+// Compound interest: `principal` after `years` at an annual rate compounded `timesPerYear`
+export const compound = (principal, rate, years, timesPerYear = 1) => principal * growth(rate / timesPerYear, years * timesPerYear);
+
+// Compound annual growth rate from `start` to `end` over `years`
+export const cagr = (start, end, years) => Math.pow(end / start, 1 / years) - 1;
+
+// Loan schedule with payments, interest and balances rounded to cents, one row per period:
+// { payment, rows: [{ period, payment, interest, principal, balance }], totals: { payment, interest, principal } }
+// The last payment absorbs the rounding so the balance ends at exactly zero
+export const amortize = (principal, rate, periods) => {
+    const cents = (value) => Math.round(value * 100) / 100;
+    const payment = cents(pmt(rate, periods, principal));
+    const rows = [];
+    const totals = { payment: 0, interest: 0, principal: 0 };
+
+    let balance = principal;
+    for (let period = 1; period <= periods; period++) {
+        const interest = cents(balance * rate);
+        const repaid = period === periods ? balance : Math.min(cents(payment - interest), balance);
+        balance = cents(balance - repaid);
+        rows.push({ period, payment: cents(interest + repaid), interest, principal: cents(repaid), balance });
+
+        totals.payment += interest + repaid;
+        totals.interest += interest;
+        totals.principal += repaid;
+    }
+
+    return { payment, rows, totals: { payment: cents(totals.payment), interest: cents(totals.interest), principal: cents(totals.principal) } };
+};
+
+// name -> { min, max, fn, keepsUnit, rate } in the MATH_FUNCTIONS shape;
+// amounts may carry a currency, and rates (irr, cagr) come back as plain numbers shown as percentages
+export const FINANCE_FUNCTIONS = {
+    pmt: { min: 3, max: 4, fn: pmt, keepsUnit: true },
+    fv: { min: 3, max: 4, fn: fv, keepsUnit: true },
+    pv: { min: 3, max: 4, fn: pv, keepsUnit: true },
+    npv: { min: 2, max: Infinity, fn: npv, keepsUnit: true },
+    irr: { min: 2, max: Infinity, fn: irr, keepsUnit: true, rate: true },
+    compound: { min: 3, max: 4, fn: compound, keepsUnit: true },
+    cagr: { min: 3, max: 3, fn: cagr, keepsUnit: true, rate: true }
+};
@@ -0,0 +1,116 @@
+// Exact Fraction Arithmetic
+// Rationals stored as a reduced BigInt numerator over a positive denominator ("1/3 + 1/6" is 1/2)
+
+import Decimal from './decimal.js';
+
+const abs = (value) => value < 0n ? -value : value;
+const gcd = (a, b) => {
+    while (b !== 0n) {
+        [a, b] = [b, a % b];
+    }
+    return a;
+};
+
+class Fraction {
+    constructor(numerator, denominator = 1n) {
+        if (denominator === 0n) {
+            throw new RangeError('Division by zero');
+        }
+        const sign = denominator < 0n ? -1n : 1n;
+        const divisor = gcd(abs(numerator), abs(denominator)) || 1n;
+        this.numerator = sign * numerator / divisor;
+        this.denominator = sign * denominator / divisor;
+    }
+
+    // Exact value of a decimal: 0.125 is 1/8
+    static fromDecimal(decimal) {
+        return new Fraction(decimal.coefficient, 10n ** BigInt(decimal.scale));
+    }
+
+    // Convert a float via its shortest round-trip representation (0.1 is 1/10)
+    static fromNumber(number) {
+        return Fraction.fromDecimal(Decimal.fromNumber(number));
+    }
+
+    // Closest fraction to a float with a denominator up to `maxDenominator` (continued fractions),
+    // so 0.333333333 shows as 1/3; null for NaN and infinities
+    static approximate(number, maxDenominator = 1000000) {
+        if (!isFinite(number)) return null;
+
+        let [previousNumerator, numerator] = [0, 1];
+        let [previousDenominator, denominator] = [1, 0];
+        let rest = number;
+        for (let i = 0; i < 64; i++) {
+            const whole = Math.floor(rest);
+            const nextDenominator = whole * denominator + previousDenominator;
+            if (nextDenominator > maxDenominator) break;
+
+            [previousNumerator, numerator] = [numerator, whole * numerator + previousNumerator];
+            [previousDenominator, denominator] = [denominator, nextDenominator];
+            if (Math.abs(number - numerator / denominator) <= Math.abs(number) * 1e-12 || rest === whole) break;
+            rest = 1 / (rest - whole);
+        }
+        return new Fraction(BigInt(numerator), BigInt(denominator));
+    }
+
+    add(other) {
+        return new Fraction(this.numerator * other.denominator + other.numerator * this.denominator, this.denominator * other.denominator);
+    }
+
+    sub(other) {
+        return this.add(other.neg());
+    }
+
+    mul(other) {
+        return new Fraction(this.numerator * other.numerator, this.denominator * other.denominator);
+    }
+
+    div(other) {
+        return new Fraction(this.numerator * other.denominator, this.denominator * other.numerator);
+    }
+
+    // Whole exponents only; negative ones invert
+    pow(exponent) {
+        const power = BigInt(Math.abs(exponent));
+        const result = new Fraction(this.numerator ** power, this.denominator ** power);
+        return exponent < 0 ? new Fraction(1n).div(result) : result;
+    }
+
+    neg() {
+        return new Fraction(-this.numerator, this.denominator);
+    }
+
+    isZero() {
+        return this.numerator === 0n;
+    }
+
+    isInteger() {
+        return this.denominator === 1n;
+    }
+
+    compare(other) {
+        const difference = this.sub(other).numerator;
+        return difference === 0n ? 0 : (difference < 0n ? -1 : 1);
+    }
+
+    // Decimal value, rounded half-up at `precision` fractional digits
+    toDecimal(precision = 20) {
+        return new Decimal(this.numerator).div(new Decimal(this.denominator), precision);
+    }
+
+    toNumber() {
+        return this.toDecimal().toNumber();
+    }
+
+    // Whole part and the proper fraction left over, both carrying the sign: -7/4 is -1 and -3/4
+    split() {
+        const whole = this.numerator / this.denominator;
+        return { whole, rest: new Fraction(this.numerator - whole * this.denominator, this.denominator) };
+    }
+
+    toString() {
+        return this.isInteger() ? this.numerator.toString() : `${this.numerator}/${this.denominator}`;
+    }
+}
+
+export default Fraction;
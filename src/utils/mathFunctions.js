@@ -0,0 +1,45 @@
+// Math Function Library
+// Built-in functions and constants for expressions ("sqrt(16)", "round(pi, 2)")
+// Trig functions work in radians
+
+import { FINANCE_FUNCTIONS } from './financeFunctions.js';
+
+// Round half away from zero at `digits` places, via the decimal string to avoid 1.005 -> 1.00
+const roundTo = (value, digits = 0) => {
+    const places = Math.trunc(digits);
+    const rounded = Math.round(Number(`${Math.abs(value)}e${places}`));
+    return Math.sign(value) * Number(`${rounded}e${-places}`);
+};
+
+// name -> { min, max, fn, keepsUnit, rate }: argument count limits, the implementation (floats in, float out),
+// whether quantities keep their unit ("round(5.678 km, 1)" is 5.7 km) and whether the result is a plain rate
+export const MATH_FUNCTIONS = {
+    sqrt: { min: 1, max: 1, fn: Math.sqrt },
+    cbrt: { min: 1, max: 1, fn: Math.cbrt },
+    pow: { min: 2, max: 2, fn: Math.pow },
+    abs: { min: 1, max: 1, fn: Math.abs, keepsUnit: true },
+    round: { min: 1, max: 2, fn: roundTo, keepsUnit: true },
+    floor: { min: 1, max: 1, fn: Math.floor, keepsUnit: true },
+    ceil: { min: 1, max: 1, fn: Math.ceil, keepsUnit: true },
+    min: { min: 1, max: Infinity, fn: Math.min, keepsUnit: true },
+    max: { min: 1, max: Infinity, fn: Math.max, keepsUnit: true },
+    log: { min: 1, max: 2, fn: (x, base) => base === undefined ? Math.log10(x) : Math.log(x) / Math.log(base) },
+    ln: { min: 1, max: 1, fn: Math.log },
+    exp: { min: 1, max: 1, fn: Math.exp },
+    sin: { min: 1, max: 1, fn: Math.sin },
+    cos: { min: 1, max: 1, fn: Math.cos },
+    tan: { min: 1, max: 1, fn: Math.tan },
+    asin: { min: 1, max: 1, fn: Math.asin },
+    acos: { min: 1, max: 1, fn: Math.acos },
+    atan: { min: 1, max: 1, fn: Math.atan },
+    ...FINANCE_FUNCTIONS
+};
+
+export const MATH_CONSTANTS = {
+    pi: Math.PI,
+    e: Math.E
+};
+
+export const isMathFunction = (name) => Object.hasOwn(MATH_FUNCTIONS, name.toLowerCase());
+
+export const isMathConstant = (name) => Object.hasOwn(MATH_CONSTANTS, name.toLowerCase());
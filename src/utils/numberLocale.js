@@ -0,0 +1,75 @@
+// Number Locales
+// Decimal and grouping separators for parsing: "1,234.56" (en-US), "1.234,56" (de-DE),
+// "1 234,56" (fr-FR) and "1'234.56" (de-CH). Every locale reads as one of two formats
+
+// Grouping marks that never mean anything else: apostrophes and (narrow) no-break spaces
+const MARK_GROUPS = ["'", '’', '\u00a0', '\u202f'];
+
+export const DOT_DECIMAL = { decimal: '.', groups: [',', ...MARK_GROUPS] };
+export const COMMA_DECIMAL = { decimal: ',', groups: ['.', ' ', ...MARK_GROUPS] };
+
+// Format of a BCP 47 locale ("de-DE") from Intl, or null for unknown tags
+export const getLocaleFormat = (locale) => {
+    try {
+        if (Intl.NumberFormat.supportedLocalesOf(locale).length === 0) {
+            return null;
+        }
+    } catch (error) {
+        return null; // Malformed tag
+    }
+
+    const decimal = new Intl.NumberFormat(locale).formatToParts(1.5).find(part => part.type === 'decimal');
+    return decimal && decimal.value === ',' ? COMMA_DECIMAL : DOT_DECIMAL;
+};
+
+// Which separator a number can only use as its decimal ('.' or ','), or null when it reads both ways
+//   "1.234,56", "2,5", "0,500", "1.234.567" -> ','      "1,234.56", "3.14", "1,234,567" -> '.'
+//   "1.000", "1,000" -> null
+const decimalOf = (number) => {
+    const last = Math.max(number.lastIndexOf('.'), number.lastIndexOf(','));
+    if (number.includes('.') && number.includes(',')) {
+        return number[last];
+    }
+
+    const separator = number[last];
+    const parts = number.split(separator);
+    if (parts.length > 2) {
+        // Repeated separators only group ("1.234.567"); anything else is not a number ("19.10.2026")
+        return parts.slice(1).every(part => part.length === 3) ? (separator === '.' ? ',' : '.') : null;
+    }
+    return parts[1].length !== 3 || parts[0] === '0' || parts[0].length > 3 ? separator : null;
+};
+
+// Whether a number's separators can be read in `format`: "2,5" can't be with a decimal point,
+// "1,000" and "42" can be read either way
+export const fitsFormat = (text, format) => {
+    const digits = text.replace(/[^0-9.,]/g, '');
+    if (!/[.,]/.test(digits)) return true;
+    const decimal = decimalOf(digits);
+    return decimal === null || decimal === format.decimal;
+};
+
+// Detect a box's format from the numbers that read only one way; null without (or with tied) evidence
+// With tied evidence the numbers that don't fit the fallback format are flagged (see fitsFormat)
+// Function arguments are skipped: "round(pi,2)" uses the comma as a separator
+export const detectLocaleFormat = (text) => {
+    const votes = { '.': 0, ',': 0 };
+    const withoutCalls = (text || '').replace(/[\p{L}_][\p{L}\p{N}_]*\s*\([^()]*\)/gu, ' ');
+
+    for (const [number] of withoutCalls.matchAll(/[0-9]+(?:[.,][0-9]+)+/g)) {
+        const decimal = decimalOf(number);
+        if (decimal) votes[decimal]++;
+    }
+
+    if (votes['.'] === votes[',']) {
+        return null;
+    }
+    return votes[','] > votes['.'] ? COMMA_DECIMAL : DOT_DECIMAL;
+};
+
+// A number the format reads with a decimal that could just as well group thousands:
+// "1.000" is 1 with a decimal point but 1000 in de-DE
+export const isAmbiguousNumber = (text, format) => {
+    const digits = text.replace(/[^0-9.,]/g, '');
+    return /^[1-9][0-9]{0,2}[.,][0-9]{3}$/.test(digits) && digits.includes(format.decimal);
+};
@@ -0,0 +1,85 @@
+// Equation Solver
+// Roots of one-unknown functions, for "x * 1.08 + 15 = 200" and goal seek
+
+// Values tried when Newton's method needs a fresh start, and the range scanned for a sign change
+const STARTS = [1, -1, 10, -10, 100, 0.5, 1000];
+const SCAN_LIMIT = 1e9;
+
+// x where f(x) is (close enough to) zero, or NaN when none is found
+// Linear functions are solved directly from two evaluations; others go through Newton's method
+// from `guess` and a few other starts, then a scan for a sign change narrowed down by bisection
+// `limits` caps the work for costly functions: { evaluations, milliseconds }; past either one
+// f is no longer called and the search ends with NaN
+export const solve = (f, guess = 0, limits = {}) => {
+    const { evaluations = Infinity, milliseconds = Infinity } = limits;
+    const deadline = Date.now() + milliseconds;
+    let calls = 0;
+    const at = (x) => {
+        if (calls >= evaluations || (milliseconds !== Infinity && Date.now() > deadline)) {
+            return NaN;
+        }
+        calls++;
+        const y = f(x);
+        return Number.isFinite(y) ? y : NaN;
+    };
+    const y0 = at(guess);
+    const scale = Math.max(1, Math.abs(y0) || 0); // Tolerance grows with the size of the values
+    const isRoot = (x) => Math.abs(at(x)) <= 1e-9 * scale;
+
+    // Straight line: equal steps on both sides of guess + 1
+    const [y1, y2] = [at(guess + 1), at(guess + 2)];
+    const slope = y1 - y0;
+    if (slope !== 0 && Math.abs((y2 - y1) - slope) <= 1e-9 * Math.max(1, Math.abs(slope))) {
+        const estimate = guess - y0 / slope;
+        const x = estimate - at(estimate) / slope; // One more step takes out float noise
+        if (isRoot(x)) return x;
+    }
+
+    for (const start of [guess, ...STARTS]) {
+        let x = start;
+        for (let i = 0; i < 100; i++) {
+            const y = at(x);
+            const h = 1e-6 * Math.max(1, Math.abs(x));
+            const derivative = (at(x + h) - at(x - h)) / (2 * h);
+            if (!Number.isFinite(y) || !Number.isFinite(derivative) || derivative === 0) break;
+
+            const next = x - y / derivative;
+            if (Math.abs(next - x) <= 1e-12 * Math.max(1, Math.abs(x))) {
+                if (isRoot(next)) return next;
+                break;
+            }
+            x = next;
+        }
+    }
+
+    // Scan outwards from guess on a doubling grid, each way, and bisect sign changes
+    for (const direction of [1, -1]) {
+        let [previous, previousValue] = [guess, y0];
+        for (let step = 1e-3; step <= SCAN_LIMIT; step *= 2) {
+            const x = guess + direction * step;
+            const y = at(x);
+            if (y === 0) return x;
+            if (!Number.isNaN(y) && !Number.isNaN(previousValue) && Math.sign(y) !== Math.sign(previousValue)) {
+                const root = bisect(at, Math.min(previous, x), Math.max(previous, x), isRoot);
+                if (!Number.isNaN(root)) return root;
+            }
+            [previous, previousValue] = [x, y];
+        }
+    }
+    return NaN;
+};
+
+// Narrow [low, high] around a sign change; NaN when the change is a jump rather than a root
+const bisect = (at, low, high, isRoot) => {
+    const lowSign = Math.sign(at(low));
+    for (let i = 0; i < 200; i++) {
+        const middle = (low + high) / 2;
+        if (Math.sign(at(middle)) === lowSign) {
+            low = middle;
+        } else {
+            high = middle;
+        }
+    }
+    const x = (low + high) / 2;
+    return isRoot(x) ? x : NaN;
+};
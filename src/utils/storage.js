@@ -138,6 +138,7 @@ class StorageManager {
             whiteSpace: element.whiteSpace || 'nowrap',
             overflowX: element.overflowX || 'auto',
             overflowY: element.overflowY || 'hidden',
+            running: !!element.running, // Running totals toggle
             timestamp: Date.now()
         }));
     }
@@ -159,7 +160,8 @@ class StorageManager {
                 height: element.height || 40,
                 whiteSpace: element.whiteSpace || 'nowrap',
                 overflowX: element.overflowX || 'auto',
-                overflowY: element.overflowY || 'hidden'
+                overflowY: element.overflowY || 'hidden',
+                running: !!element.running
             }));
     }
 
@@ -0,0 +1,264 @@
+// Units
+// Built-in unit table (works offline) and dimension-checked arithmetic on quantities
+// Values stay in the active arithmetic backend (floats or exact decimals); `math` is that backend
+
+// Base dimensions: length (m), mass (kg), time (s), data (B), temperature (K)
+const LENGTH = { length: 1 };
+const AREA = { length: 2 };
+const VOLUME = { length: 3 };
+const MASS = { mass: 1 };
+const TIME = { time: 1 };
+const SPEED = { length: 1, time: -1 };
+const DATA = { data: 1 };
+const TEMPERATURE = { temperature: 1 };
+
+// symbol, factor to the base unit, dimensions, aliases, offset (temperatures: base = (value + offset) * factor)
+const unit = (symbol, factor, dims, aliases = [], offset = 0) => ({ symbol, factor, dims, aliases, offset });
+
+export const UNITS = [
+    // Length
+    unit('mm', 0.001, LENGTH, ['millimeter', 'millimeters']),
+    unit('cm', 0.01, LENGTH, ['centimeter', 'centimeters']),
+    unit('m', 1, LENGTH, ['meter', 'meters', 'metre', 'metres']),
+    unit('km', 1000, LENGTH, ['kilometer', 'kilometers', 'kilometre', 'kilometres']),
+    unit('inch', 0.0254, LENGTH, ['inches']),
+    unit('ft', 0.3048, LENGTH, ['foot', 'feet']),
+    unit('yd', 0.9144, LENGTH, ['yard', 'yards']),
+    unit('mi', 1609.344, LENGTH, ['mile', 'miles']),
+
+    // Mass
+    unit('mg', 0.000001, MASS, ['milligram', 'milligrams']),
+    unit('g', 0.001, MASS, ['gram', 'grams']),
+    unit('kg', 1, MASS, ['kilogram', 'kilograms', 'kilo', 'kilos']),
+    unit('tonne', 1000, MASS, ['tonnes']),
+    unit('oz', 0.028349523125, MASS, ['ounce', 'ounces']),
+    unit('lb', 0.45359237, MASS, ['lbs', 'pound', 'pounds']),
+
+    // Area
+    unit('cm²', 0.0001, AREA, ['cm2']),
+    unit('m²', 1, AREA, ['m2', 'sqm']),
+    unit('km²', 1000000, AREA, ['km2']),
+    unit('ft²', 0.09290304, AREA, ['ft2', 'sqft']),
+    unit('acre', 4046.8564224, AREA, ['acres']),
+    unit('ha', 10000, AREA, ['hectare', 'hectares']),
+
+    // Volume
+    unit('ml', 0.000001, VOLUME, ['mL', 'milliliter', 'milliliters', 'millilitre', 'millilitres']),
+    unit('l', 0.001, VOLUME, ['L', 'liter', 'liters', 'litre', 'litres']),
+    unit('cm³', 0.000001, VOLUME, ['cm3', 'cc']),
+    unit('m³', 1, VOLUME, ['m3']),
+    unit('tsp', 0.00000492892159375, VOLUME, ['teaspoon', 'teaspoons']),
+    unit('tbsp', 0.00001478676478125, VOLUME, ['tablespoon', 'tablespoons']),
+    unit('fl oz', 0.0000295735295625, VOLUME, ['floz', 'fluid ounce', 'fluid ounces']),
+    unit('cup', 0.0002365882365, VOLUME, ['cups']),
+    unit('gal', 0.003785411784, VOLUME, ['gallon', 'gallons']),
+
+    // Speed
+    unit('m/s', 1, SPEED),
+    unit('km/h', 1 / 3.6, SPEED, ['kph', 'kmh']),
+    unit('mph', 0.44704, SPEED),
+    unit('knot', 0.514444, SPEED, ['knots', 'kn']),
+
+    // Time
+    unit('ms', 0.001, TIME, ['millisecond', 'milliseconds']),
+    unit('s', 1, TIME, ['sec', 'secs', 'second', 'seconds']),
+    unit('min', 60, TIME, ['mins', 'minute', 'minutes']),
+    unit('h', 3600, TIME, ['hr', 'hrs', 'hour', 'hours']),
+    unit('day', 86400, TIME, ['days']),
+    unit('week', 604800, TIME, ['weeks']),
+
+    // Data size (decimal and binary prefixes)
+    unit('bit', 0.125, DATA, ['bits']),
+    unit('B', 1, DATA, ['byte', 'bytes']),
+    unit('KB', 1000, DATA, ['kB']),
+    unit('MB', 1000 ** 2, DATA),
+    unit('GB', 1000 ** 3, DATA),
+    unit('TB', 1000 ** 4, DATA),
+    unit('KiB', 1024, DATA),
+    unit('MiB', 1024 ** 2, DATA),
+    unit('GiB', 1024 ** 3, DATA),
+    unit('TiB', 1024 ** 4, DATA),
+
+    // Temperature
+    unit('°C', 1, TEMPERATURE, ['℃', 'degC', 'celsius'], 273.15),
+    unit('°F', 5 / 9, TEMPERATURE, ['℉', 'degF', 'fahrenheit'], 459.67),
+    unit('K', 1, TEMPERATURE, ['kelvin'])
+];
+
+// Exact spellings first; multi-letter spellings also match in any case ("gb", "KM")
+const exactUnits = new Map();
+const foldedUnits = new Map();
+UNITS.forEach(entry => {
+    [entry.symbol, ...entry.aliases].forEach(spelling => {
+        exactUnits.set(spelling, entry);
+        if (spelling.length > 1 && !foldedUnits.has(spelling.toLowerCase())) {
+            foldedUnits.set(spelling.toLowerCase(), entry);
+        }
+    });
+});
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+const UNIT_PATTERN = new RegExp(
+    `^(?:${[...exactUnits.keys()].sort((a, b) => b.length - a.length).map(escapeRegExp).join('|')})(?![\\p{L}\\p{N}_])`,
+    'iu'
+);
+
+export class UnitError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UnitError';
+    }
+}
+
+// A value with a unit; `value` is in the unit, not the base unit
+export class Quantity {
+    constructor(value, unit) {
+        this.value = value;
+        this.unit = unit;
+    }
+}
+
+export const findUnit = (text) => exactUnits.get(text) || foldedUnits.get(text.toLowerCase()) || null;
+
+// Unit spelled at the start of text ("km + 5" -> km), with the length it takes
+export const matchUnit = (text) => {
+    const match = text.match(UNIT_PATTERN);
+    const entry = match && findUnit(match[0]);
+    return entry ? { unit: entry, length: match[0].length } : null;
+};
+
+const sameDimensions = (a, b) => {
+    const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+    return [...keys].every(key => (a[key] || 0) === (b[key] || 0));
+};
+
+const combineDimensions = (a, b, sign) => {
+    const dims = { ...a };
+    Object.entries(b).forEach(([key, power]) => {
+        dims[key] = (dims[key] || 0) + sign * power;
+        if (dims[key] === 0) delete dims[key];
+    });
+    return dims;
+};
+
+// Name a unit for dimensions that aren't in the table ("kg·m", "GB/s")
+const dimensionName = (unitA, unitB, operator) => `${unitA.symbol === '1' ? '' : unitA.symbol}${operator === '*' ? '·' : '/'}${unitB.symbol}`;
+
+// Prefer a table unit with the same dimensions and scale (m·m -> m², km/h stays km/h),
+// then the base table unit for those dimensions (m·km -> m²)
+const composeUnits = (a, b, operator) => {
+    const sign = operator === '*' ? 1 : -1;
+    const dims = combineDimensions(a.dims, b.dims, sign);
+    const factor = operator === '*' ? factorOf(a) * factorOf(b) : factorOf(a) / factorOf(b);
+    const candidates = UNITS.filter(entry => !entry.offset && sameDimensions(entry.dims, dims));
+    const known = candidates.find(entry => Math.abs(entry.factor - factor) <= Math.abs(factor) * 1e-9)
+        || candidates.find(entry => entry.factor === 1);
+
+    return known || { symbol: dimensionName(a, b, operator), factor, dims, aliases: [], offset: 0 };
+};
+
+const isDimensionless = (unitEntry) => Object.keys(unitEntry.dims).length === 0;
+
+// Currencies have no factor until the user enters a rate; within one currency none is needed
+const factorOf = (unitEntry) => unitEntry.factor ?? 1;
+
+export const convertQuantity = (quantity, target, math) => {
+    const { unit: source } = quantity;
+    if (!sameDimensions(source.dims, target.dims)) {
+        throw new UnitError(`Cannot convert ${source.symbol} to ${target.symbol}`);
+    }
+    if (source === target) {
+        return quantity;
+    }
+    const missing = [source, target].find(entry => entry.factor === null);
+    if (missing) {
+        throw new UnitError(`No exchange rate for ${missing.symbol}`);
+    }
+
+    const n = (number) => math.fromNumber(number);
+    const base = math['*'](math['+'](quantity.value, n(source.offset)), n(source.factor));
+    return new Quantity(math['-'](math['/'](base, n(target.factor)), n(target.offset)), target);
+};
+
+// A plain number in the unit of the quantity it is added to; units stored in a smaller
+// unit than they show say how many of those a plain number is ("8:30 + 1" adds an hour)
+const lendUnit = (value, target, math) => new Quantity(target.plain ? math['*'](value, math.fromNumber(target.plain)) : value, target);
+
+const MAX_UNIT_EXPONENT = 4;
+
+// Apply an operator when either side has a unit
+// Plain numbers added to a quantity take its unit ("5 km + 3" is 8 km)
+export const combineQuantities = (operator, left, right, math) => {
+    const leftUnit = left instanceof Quantity ? left.unit : null;
+    const rightUnit = right instanceof Quantity ? right.unit : null;
+    const leftValue = leftUnit ? left.value : left;
+    const rightValue = rightUnit ? right.value : right;
+
+    switch (operator) {
+        case '+':
+        case '-': {
+            const target = leftUnit || rightUnit;
+            if (!leftUnit || !rightUnit) {
+                // Only a unit with something on top can lend it to a plain number ("3 + 1/(2 km)" is meaningless)
+                if (!Object.values(target.dims).some(power => power > 0)) {
+                    throw new UnitError(`Cannot ${operator === '+' ? 'add' : 'subtract'} a plain number and ${target.symbol}`);
+                }
+            }
+            const a = leftUnit ? left : lendUnit(leftValue, target, math);
+            const b = rightUnit ? right : lendUnit(rightValue, target, math);
+            if (!sameDimensions(a.unit.dims, b.unit.dims)) {
+                throw new UnitError(`Cannot ${operator === '+' ? 'add' : 'subtract'} ${b.unit.symbol} ${operator === '+' ? 'to' : 'from'} ${a.unit.symbol}`);
+            }
+            return new Quantity(math[operator](a.value, convertQuantity(b, target, math).value), target);
+        }
+        case '*':
+        case '/': {
+            if (!leftUnit || !rightUnit) {
+                // Scaling by a plain number; "10 / 2 h" is a rate per hour
+                if (!leftUnit && operator === '/') {
+                    const inverse = composeUnits({ symbol: '1', factor: 1, dims: {} }, rightUnit, '/');
+                    return new Quantity(math['/'](leftValue, rightValue), inverse);
+                }
+                return new Quantity(math[operator](leftValue, rightValue), leftUnit || rightUnit);
+            }
+            if (leftUnit.offset || rightUnit.offset) {
+                throw new UnitError(`Cannot ${operator === '*' ? 'multiply' : 'divide'} temperatures`);
+            }
+
+            // Same dimensions divide to a plain ratio ("1.5 GB / 300 KB")
+            if (operator === '/' && sameDimensions(leftUnit.dims, rightUnit.dims)) {
+                return math['/'](leftValue, convertQuantity(right, leftUnit, math).value);
+            }
+            const composed = composeUnits(leftUnit, rightUnit, operator);
+            const value = math[operator](leftValue, rightValue);
+
+            if (isDimensionless(composed)) {
+                return math['*'](value, math.fromNumber(composed.factor));
+            }
+            // A table unit may have a different scale than the raw product (m·km -> m² needs x1000)
+            const raw = operator === '*' ? factorOf(leftUnit) * factorOf(rightUnit) : factorOf(leftUnit) / factorOf(rightUnit);
+            return new Quantity(math['*'](value, math.fromNumber(raw / composed.factor)), composed);
+        }
+        case '^': {
+            if (rightUnit || !leftUnit) {
+                throw new UnitError('Exponents must be plain numbers');
+            }
+            const exponent = math.toNumber(rightValue);
+            // Units are squared or cubed, rarely more; larger powers would multiply in one by one
+            if (!Number.isInteger(exponent) || Math.abs(exponent) > MAX_UNIT_EXPONENT || leftUnit.offset) {
+                throw new UnitError(`Cannot raise ${leftUnit.symbol} to ${exponent}`);
+            }
+            if (exponent === 0) {
+                return math.fromNumber(1);
+            }
+
+            let result = new Quantity(math.fromNumber(1), { symbol: '1', factor: 1, dims: {} });
+            for (let i = 0; i < Math.abs(exponent); i++) {
+                result = combineQuantities(exponent < 0 ? '/' : '*', result, left, math);
+            }
+            return result;
+        }
+        default:
+            throw new UnitError(`Unknown operator '${operator}'`);
+    }
+};